@@ -1,276 +1,232 @@
-import { Ship } from './models/Ship.js';
-import { PhysicsEngine } from './services/PhysicsEngine.js';
+import { Simulation } from './Simulation.js';
 import { InputManager } from './services/InputManager.js';
 import { Renderer } from './services/Renderer.js';
-import { GameState } from './services/GameState.js';
-import { EntityManager } from './services/EntityManager.js';
+import { DebugOverlay } from './components/DebugOverlay.js';
 
 /**
- * Game - Main game coordinator and loop manager
- * Orchestrates all game systems including rendering, input, physics, collision, and state management
+ * Browser clock - wall-clock time and display-synchronized frame scheduling
+ */
+const browserClock = {
+    now: () => performance.now(),
+    requestFrame: (callback) => requestAnimationFrame(callback)
+};
+
+/**
+ * Game - Browser shell around the headless Simulation
+ * Drives the simulation from a display-synchronized loop, feeds it keyboard input and renders it.
+ * Clock, input source and renderer can be injected to run without canvas or document
  */
 export class Game {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement|null} canvas Canvas to draw on (may be null when a renderer is injected)
+     * @param {Object} options Optional overrides: tickRate, seed, clock, inputSource, renderer, debugOverlay
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.context = canvas.getContext('2d');
 
         // Game dimensions - force to fixed size
         this.width = 800;
         this.height = 600;
 
         // Force canvas to correct size immediately
-        canvas.width = this.width;
-        canvas.height = this.height;
+        if (canvas) {
+            canvas.width = this.width;
+            canvas.height = this.height;
+        }
 
-        // Core game systems
-        this.physicsEngine = new PhysicsEngine(this.width, this.height);
-        this.inputManager = new InputManager();
-        this.renderer = new Renderer(canvas, this.context);
-        this.gameState = new GameState();
-        this.entityManager = new EntityManager(this.width, this.height);
+        // Headless game core
+        this.simulation = new Simulation({
+            width: this.width,
+            height: this.height,
+            tickRate: options.tickRate,
+            seed: options.seed,
+            asteroidCollisions: options.asteroidCollisions,
+            fireMode: options.fireMode
+        });
+
+        // Shortcuts to the simulation systems (stable for the lifetime of the game)
+        this.gameState = this.simulation.gameState;
+        this.entityManager = this.simulation.entityManager;
+        this.physicsEngine = this.simulation.physicsEngine;
+        this.events = this.simulation.events; // Subscribe here for audio, HUD, achievements...
 
-        // Game entities
-        this.ship = null;
+        // Browser-facing systems (injectable)
+        this.clock = options.clock || browserClock;
+        this.inputSource = options.inputSource || new InputManager();
+        this.renderer = options.renderer || new Renderer(canvas, canvas.getContext('2d'));
+        this.debugOverlay = options.debugOverlay || (canvas ? new DebugOverlay(canvas.getContext('2d')) : null);
 
-        // Game loop management
+        // Game loop management - fixed simulation timestep with render interpolation
         this.isRunning = false;
         this.lastFrameTime = 0;
         this.frameCount = 0;
-        this.targetFPS = 60;
-        this.maxDeltaTime = 1000 / 30; // Cap delta time to 30 FPS minimum
+        this.accumulator = 0;
+        this.maxFrameTime = 250; // Drop simulation time after long stalls (tab switch, breakpoints)
+        this.timeScale = 1; // Simulation speed relative to real time
+        this.isFrozen = false; // No ticks while a console or dialog has the keyboard
 
         // Performance monitoring
         this.performanceStats = {
             fps: 60,
             frameTime: 0,
             updateTime: 0,
-            renderTime: 0
+            renderTime: 0,
+            ticksThisFrame: 0
         };
-
-        // Game configuration
-        this.selectedShipColor = '#00FF88';
-        this.selectedDifficulty = 'medium';
-
-        this.initialize();
-    }
-
-    /**
-     * Initialize game systems and state
-     */
-    initialize() {
-        this.gameState.returnToMenu();
     }
 
     /**
      * Start a new game with selected options
      * @param {string} difficulty Difficulty level
      * @param {string} shipColor Ship color
+     * @param {number} seed Random seed (a fresh one is generated if omitted)
      */
-    startNewGame(difficulty = 'medium', shipColor = '#00FF88') {
-        this.selectedDifficulty = difficulty;
-        this.selectedShipColor = shipColor;
-
-        this.gameState.startNewGame(difficulty, shipColor);
-
-        this.ship = new Ship({
-            position: { x: this.width / 2, y: this.height / 2 },
-            color: shipColor,
-            screenWidth: this.width,
-            screenHeight: this.height
-        });
-
-        // Clear previous entities
-        this.entityManager.clearAllEntities();
-
-        const asteroidCount = this.gameState.getAsteroidCountForLevel();
-        this.entityManager.createAsteroidField(
-            asteroidCount,
-            this.ship.position,
-            difficulty
-        );
+    startNewGame(difficulty = 'medium', shipColor = '#00FF88', seed) {
+        this.simulation.startNewGame(difficulty, shipColor, seed);
     }
 
     /**
-     * Main game loop using RequestAnimationFrame
-     * @param {number} currentTime Current timestamp
+     * Play back a recorded replay instead of keyboard input
+     * @param {Object} replay Replay data
+     * @returns {Object} Load result with a reason when the replay is refused
      */
-    gameLoop(currentTime) {
-        if (!this.isRunning) return;
-
-        // Calculate delta time
-        const deltaTime = Math.min(currentTime - this.lastFrameTime, this.maxDeltaTime);
-        this.lastFrameTime = currentTime;
-
-        const startUpdate = performance.now();
-        this.update(deltaTime, currentTime);
-        const updateTime = performance.now() - startUpdate;
-
-        const startRender = performance.now();
-        this.render();
-        const renderTime = performance.now() - startRender;
-
-        this.updatePerformanceStats(deltaTime, updateTime, renderTime);
-        requestAnimationFrame((time) => this.gameLoop(time));
+    startPlayback(replay) {
+        const result = this.simulation.startPlayback(replay);
+        if (result.success) {
+            this.accumulator = 0;
+        }
+        return result;
     }
 
     /**
-     * Update all game systems
-     * @param {number} deltaTime Time since last frame
-     * @param {number} currentTime Current timestamp
+     * Get the replay of the most recently finished game
+     * @returns {Object|null} Replay data
      */
-    update(deltaTime, currentTime) {
-        const entityCounts = this.entityManager.getEntityCounts();
-        this.gameState.update(deltaTime, { asteroidCount: entityCounts.asteroids });
-
-        // Process input ALWAYS (even when paused, for pause/unpause functionality)
-        const inputResult = this.inputManager.processInput({
-            ship: this.ship,
-            gameState: this.gameState,
-            deltaTime,
-            currentTime
-        });
-
-        this.handleInputActions(inputResult.actions);
-
-        // Skip remaining game updates if paused, game over, or in menu
-        if (this.gameState.isPaused || this.gameState.isGameOver || this.gameState.gamePhase === 'menu') {
-            return;
-        }
+    getLastReplay() {
+        return this.simulation.getLastReplay();
+    }
 
-        if (inputResult.newProjectile) {
-            this.entityManager.createProjectile(inputResult.newProjectile);
-            this.gameState.recordShotFired();
-        }
+    /**
+     * Capture the complete world state
+     * @returns {Object} Serializable snapshot
+     */
+    createSnapshot() {
+        return this.simulation.getSnapshot();
+    }
 
-        if (this.ship) {
-            this.ship.update(deltaTime);
+    /**
+     * Restore the complete world state
+     * @param {Object} snapshot Snapshot from createSnapshot()
+     * @returns {Object} Restore result with a reason when the snapshot is refused
+     */
+    restoreSnapshot(snapshot) {
+        const result = this.simulation.restoreSnapshot(snapshot);
+        if (result.success) {
+            this.accumulator = 0;
         }
+        return result;
+    }
 
-        this.entityManager.update(deltaTime);
-        const allEntities = [...this.entityManager.getAllActiveEntities()];
-        if (this.ship) {
-            allEntities.push(this.ship);
-        }
+    /**
+     * Get the seed used by the current game (include it in bug reports)
+     * @returns {number} Game seed
+     */
+    getSeed() {
+        return this.simulation.getSeed();
+    }
 
-        this.physicsEngine.updateEntities(allEntities, deltaTime);
+    /**
+     * Set the simulation tick rate
+     * @param {number} tickRate Simulation ticks per second
+     */
+    setTickRate(tickRate) {
+        this.simulation.setTickRate(tickRate);
+        this.accumulator = 0;
+    }
 
-        const collisionResult = this.physicsEngine.detectCollisions(allEntities);
-        this.handleCollisions(collisionResult.collisions);
+    /**
+     * Choose whether asteroids bounce off each other from the next game on
+     * @param {string} mode 'difficulty', 'on' or 'off'
+     * @returns {Object} Result with a reason when the mode is unknown
+     */
+    setAsteroidCollisionMode(mode) {
+        return this.simulation.setAsteroidCollisionMode(mode);
+    }
 
-        // Check for level completion
-        if (entityCounts.asteroids === 0) {
-            this.handleLevelComplete();
-        }
+    /**
+     * Choose the ship's fire mode from the next game on
+     * @param {string} mode 'manual', 'auto', 'burst' or 'charge'
+     * @returns {Object} Result with a reason when the mode is unknown
+     */
+    setFireMode(mode) {
+        return this.simulation.setFireMode(mode);
     }
 
     /**
-     * Handle input actions
-     * @param {Array<string>} actions Array of input actions
+     * Advance the simulation by one tick, bypassing the real-time loop
+     * @param {Object} inputFrame Action states for this tick (defaults to the input source)
+     * @returns {Object} Game state configuration after the tick
      */
-    handleInputActions(actions) {
-        for (const action of actions) {
-            switch (action) {
-                case 'toggle-pause':
-                    if (this.gameState.isPaused) {
-                        this.gameState.resume();
-                    } else {
-                        this.gameState.pause();
-                    }
-                    break;
-                case 'escape':
-                    this.gameState.returnToMenu();
-                    break;
-            }
-        }
+    step(inputFrame = this.inputSource.captureFrame()) {
+        return this.simulation.step(inputFrame);
     }
 
     /**
-     * Handle collision events
-     * @param {Array} collisions Array of collision data
+     * Main game loop driven by the clock's frame scheduler
+     * Advances the simulation in fixed ticks and renders once per display frame
+     * @param {number} currentTime Current timestamp
      */
-    handleCollisions(collisions) {
-        for (const collision of collisions) {
-            const { entityA, entityB } = collision;
-
-            // Ship vs Asteroid collision
-            if ((entityA === this.ship && entityB.type === 'asteroid') ||
-                (entityB === this.ship && entityA.type === 'asteroid')) {
-
-                const ship = entityA === this.ship ? entityA : entityB;
-                const asteroid = entityA === this.ship ? entityB : entityA;
-
-                if (ship.onCollision(asteroid)) {
-                    // Ship was destroyed
-                    const lifeResult = this.gameState.loseLife();
-
-                    // Create explosion effect
-                    this.entityManager.createParticleEffect('explosion', {
-                        position: ship.position,
-                        color: ship.color,
-                        count: 10
-                    });
-
-                    if (lifeResult.gameOver) {
-                        // Game over handled by game state
-                    }
-                }
-            }
+    gameLoop(currentTime) {
+        if (!this.isRunning) return;
 
-            // Projectile vs Asteroid collision
-            else if ((entityA.type === 'projectile' && entityB.type === 'asteroid') ||
-                     (entityB.type === 'projectile' && entityA.type === 'asteroid')) {
+        const fixedDeltaTime = this.simulation.fixedDeltaTime;
 
-                const projectile = entityA.type === 'projectile' ? entityA : entityB;
-                const asteroid = entityA.type === 'projectile' ? entityB : entityA;
+        // Accumulate real time, capped so a long stall doesn't trigger a burst of ticks
+        const frameTime = Math.min(currentTime - this.lastFrameTime, this.maxFrameTime);
+        this.lastFrameTime = currentTime;
+        this.accumulator = this.isFrozen ? 0 : this.accumulator + frameTime * this.timeScale;
+
+        const startUpdate = this.clock.now();
+        let ticks = 0;
+        while (this.accumulator >= fixedDeltaTime) {
+            this.step();
+            this.accumulator -= fixedDeltaTime;
+            ticks++;
+        }
+        const updateTime = this.clock.now() - startUpdate;
 
-                if (projectile.onCollision(asteroid) && asteroid.onCollision(projectile)) {
-                    // Destroy projectile
-                    this.entityManager.destroyProjectile(projectile);
+        // Fraction of the next tick already elapsed, used to blend previous and current states
+        const interpolation = this.accumulator / fixedDeltaTime;
 
-                    // Destroy asteroid and create fragments
-                    const fragments = this.entityManager.destroyAsteroid(asteroid);
+        const startRender = this.clock.now();
+        this.render(interpolation);
+        const renderTime = this.clock.now() - startRender;
 
-                    // Award points
-                    this.gameState.recordAsteroidDestroyed(asteroid.size);
-                }
-            }
+        this.performanceStats.ticksThisFrame = ticks;
+        this.updatePerformanceStats(frameTime, updateTime, renderTime);
+
+        // Drawn after the timings are taken so the overlay doesn't measure itself
+        if (this.debugOverlay && this.debugOverlay.isEnabled()) {
+            this.debugOverlay.render(this.getDebugData(), currentTime);
         }
-    }
 
-    /**
-     * Handle level completion
-     */
-    handleLevelComplete() {
-        const levelResult = this.gameState.completeLevel();
-
-        // Create new asteroid field for next level
-        const asteroidCount = this.gameState.getAsteroidCountForLevel();
-        this.entityManager.createAsteroidField(
-            asteroidCount,
-            this.ship.position,
-            this.selectedDifficulty
-        );
+        this.clock.requestFrame((time) => this.gameLoop(time));
     }
 
     /**
      * Render the game
+     * @param {number} interpolation Blend factor (0-1) between the previous and current tick
      */
-    render() {
-        // Prepare render data
+    render(interpolation = 1) {
         const renderData = {
-            entities: this.entityManager.getAllActiveEntities(),
-            particles: this.entityManager.getEntitiesByType('particle'),
-            gameState: this.gameState.getUIState(),
+            ...this.simulation.getRenderData(),
+            // Nothing moves while paused or frozen, so draw the current state as-is
+            interpolation: this.gameState.isPaused || this.isFrozen ? 1 : interpolation,
             ui: {
                 font: '20px "Courier New", monospace'
             }
         };
 
-        // Add ship to entities if active
-        if (this.ship && this.gameState.gamePhase === 'playing') {
-            renderData.entities.push(this.ship);
-        }
-
         // Render frame
         this.renderer.render(renderData);
     }
@@ -282,9 +238,10 @@ export class Game {
         if (this.isRunning) return;
 
         this.isRunning = true;
-        this.lastFrameTime = performance.now();
+        this.lastFrameTime = this.clock.now();
+        this.accumulator = 0;
 
-        requestAnimationFrame((time) => this.gameLoop(time));
+        this.clock.requestFrame((time) => this.gameLoop(time));
     }
 
     /**
@@ -308,27 +265,94 @@ export class Game {
         this.gameState.resume();
     }
 
+    /**
+     * Set simulation speed relative to real time
+     * @param {number} scale Speed multiplier (0.25 = quarter speed)
+     * @returns {Object} Result with a reason when the scale is refused
+     */
+    setTimeScale(scale) {
+        if (!(scale > 0 && scale <= 4)) {
+            return { success: false, reason: 'Time scale must be above 0 and at most 4' };
+        }
+
+        this.timeScale = scale;
+        return { success: true, message: `Time scale ${scale}` };
+    }
+
+    /**
+     * Freeze the simulation and keyboard input while another input context has focus
+     * @param {boolean} frozen True to freeze
+     */
+    setFrozen(frozen) {
+        this.isFrozen = frozen;
+        if (this.inputSource.setInputEnabled) {
+            this.inputSource.setInputEnabled(!frozen);
+        }
+    }
+
     /**
      * Update performance statistics
-     * @param {number} deltaTime Frame delta time
+     * @param {number} frameTime Real time since last frame
      * @param {number} updateTime Time spent updating
      * @param {number} renderTime Time spent rendering
      */
-    updatePerformanceStats(deltaTime, updateTime, renderTime) {
+    updatePerformanceStats(frameTime, updateTime, renderTime) {
         this.frameCount++;
 
         // Update FPS calculation
-        this.performanceStats.fps = 1000 / deltaTime;
-        this.performanceStats.frameTime = deltaTime;
+        this.performanceStats.fps = 1000 / frameTime;
+        this.performanceStats.frameTime = frameTime;
         this.performanceStats.updateTime = updateTime;
         this.performanceStats.renderTime = renderTime;
 
-        // Log performance warnings
-        if (deltaTime > 33) { // Less than 30 FPS
-            console.warn(`Low FPS detected: ${this.performanceStats.fps.toFixed(1)} FPS`);
+        if (this.debugOverlay) {
+            this.debugOverlay.recordFrame(frameTime, updateTime, renderTime);
         }
     }
 
+    /**
+     * Cycle the debug overlay: off, statistics, statistics with collision shapes
+     * @returns {string} New overlay mode
+     */
+    toggleDebugOverlay() {
+        return this.debugOverlay ? this.debugOverlay.toggle() : 'off';
+    }
+
+    /**
+     * Collect statistics for the debug overlay
+     * @returns {Object} Performance, entity, pool and collision statistics
+     */
+    getDebugData() {
+        const entities = this.entityManager.getAllActiveEntities();
+        if (this.simulation.ship && this.gameState.gamePhase === 'playing') {
+            entities.push(this.simulation.ship);
+        }
+
+        return {
+            performance: this.performanceStats,
+            entities,
+            entityCounts: this.entityManager.getEntityCounts(),
+            pools: {
+                poolHits: this.entityManager.poolHits,
+                poolMisses: this.entityManager.poolMisses,
+                entitiesCreated: this.entityManager.entitiesCreated,
+                entitiesDestroyed: this.entityManager.entitiesDestroyed
+            },
+            physics: {
+                collisionChecks: this.physicsEngine.collisionChecks,
+                actualCollisions: this.physicsEngine.actualCollisions,
+                useSpatialGrid: this.physicsEngine.useSpacialGrid,
+                grid: this.physicsEngine.getOccupiedCells(),
+                gridSize: this.physicsEngine.broadPhase.grid
+            },
+            simulation: {
+                tick: this.simulation.tick,
+                tickRate: this.simulation.tickRate,
+                seed: this.simulation.getSeed()
+            }
+        };
+    }
+
     /**
      * Resize game to new dimensions
      * @param {number} width New width
@@ -338,19 +362,14 @@ export class Game {
         this.width = width;
         this.height = height;
 
-        this.canvas.width = width;
-        this.canvas.height = height;
+        if (this.canvas) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
 
         // Update systems
-        this.physicsEngine.setScreenDimensions(width, height);
-        this.entityManager.setScreenDimensions(width, height);
+        this.simulation.setScreenDimensions(width, height);
         this.renderer.resize(width, height);
-
-        // Update ship screen bounds
-        if (this.ship) {
-            this.ship.screenWidth = width;
-            this.ship.screenHeight = height;
-        }
     }
 
 
@@ -359,7 +378,7 @@ export class Game {
      */
     destroy() {
         this.stop();
-        this.entityManager.clearAllEntities();
-        this.inputManager.destroy();
+        this.simulation.destroy();
+        this.inputSource.destroy();
     }
 }
@@ -0,0 +1,1236 @@
+import { Ship } from './models/Ship.js';
+import { Vector2D } from './lib/Vector2D.js';
+import { PhysicsEngine } from './services/PhysicsEngine.js';
+import { InputManager } from './services/InputManager.js';
+import { GameState } from './services/GameState.js';
+import { EntityManager } from './services/EntityManager.js';
+import { RandomService } from './services/RandomService.js';
+import { ReplayManager } from './services/ReplayManager.js';
+import { RewindBuffer } from './services/RewindBuffer.js';
+import { EventBus, GameEvents } from './services/EventBus.js';
+import { CollisionRegistry } from './services/CollisionRegistry.js';
+import { Scenes } from './services/SceneManager.js';
+import { GravityWell } from './models/GravityWell.js';
+import { Saucer } from './models/Saucer.js';
+import { PowerUp } from './models/PowerUp.js';
+import { getLevelLayout } from './data/levels.js';
+import { POWER_UPS, getDropTable } from './data/powerUps.js';
+
+/**
+ * Simulation rules version - bump whenever a change alters gameplay outcomes,
+ * so replays recorded against older rules are refused instead of desyncing
+ */
+export const SIMULATION_VERSION = 23;
+
+/**
+ * Snapshot format version - bump when the snapshot layout changes
+ */
+export const SNAPSHOT_VERSION = 11;
+
+/**
+ * Simulation - Headless game core advanced one fixed tick at a time
+ * Owns game state, entities, physics and the ship; has no dependency on canvas, DOM or wall-clock time,
+ * so whole games can be driven from a script in Node
+ */
+export class Simulation {
+    constructor(options = {}) {
+        // World dimensions
+        this.width = options.width || 800;
+        this.height = options.height || 600;
+
+        // Fixed timestep
+        this.tickRate = options.tickRate || 60; // Simulation ticks per second
+        this.fixedDeltaTime = 1000 / this.tickRate;
+        this.simulationTime = 0; // Total simulated milliseconds, used as the gameplay clock
+        this.tick = 0;
+
+        // Simulation clock handed to systems that timestamp events
+        this.clock = {
+            now: () => this.simulationTime
+        };
+
+        // Core game systems
+        this.events = new EventBus();
+        this.random = options.random || new RandomService(options.seed);
+        this.physicsEngine = new PhysicsEngine(this.width, this.height);
+        this.inputManager = new InputManager({ listen: false });
+        this.gameState = new GameState({ clock: this.clock, events: this.events });
+        this.entityManager = new EntityManager(this.width, this.height, this.random, this.events);
+        this.replayManager = new ReplayManager(SIMULATION_VERSION);
+
+        // Collision responses by entity type pair
+        this.collisionResponses = new CollisionRegistry();
+        this.registerCollisionResponses();
+
+        // Replay state
+        this.lastReplay = null;
+        this.liveTickRate = this.tickRate; // Tick rate to restore after playing a replay
+
+        // Rewind history: one snapshot per tick for the last few seconds of play
+        const rewindSeconds = options.rewindSeconds ?? 10;
+        this.rewindBuffer = new RewindBuffer(Math.round(rewindSeconds * this.tickRate));
+        this.rewindScrubSpeed = 2; // Ticks scrubbed per tick while a rewind key is held
+        this.pendingBranch = false;
+        this.suppressHeldPause = false; // Ignore the resume key until released after branching
+
+        // Game entities
+        this.ship = null;
+        this.godMode = false; // Developer cheat: the ship ignores collisions
+
+        // Asteroid/asteroid bounces: 'difficulty' follows the difficulty preset, 'on'/'off' override it.
+        // Resolved once per game so a mid-game settings change can't desync a recording
+        this.asteroidCollisionMode = options.asteroidCollisions || 'difficulty';
+        this.asteroidCollisions = false;
+
+        // Player's fire mode, applied to the ship from the next game (a replay uses the one it was recorded with)
+        this.fireMode = Ship.isFireMode(options.fireMode) ? options.fireMode : 'auto';
+
+        // Game configuration
+        this.selectedShipColor = '#00FF88';
+        this.selectedDifficulty = 'medium';
+        this.seed = this.random.getSeed();
+
+        // The next wave arrives when the level transition runs out (not when a new game interrupts it)
+        this.gameState.scenes.addHooks(Scenes.levelTransition, {
+            exit: (to) => {
+                if (to === Scenes.playing && this.gameState.levelTransitionRemaining <= 0) {
+                    this.startNextLevel();
+                }
+            }
+        });
+
+        this.gameState.returnToMenu();
+    }
+
+    /**
+     * Start a new game with selected options
+     * @param {string} difficulty Difficulty level
+     * @param {string} shipColor Ship color
+     * @param {number} seed Random seed (a fresh one is generated if omitted)
+     */
+    startNewGame(difficulty = 'medium', shipColor = '#00FF88', seed = RandomService.generateSeed()) {
+        this.selectedDifficulty = difficulty;
+        this.selectedShipColor = shipColor;
+
+        // Reseed every random stream so the same seed replays the same game
+        this.random.setSeed(seed);
+        this.seed = this.random.getSeed();
+
+        // Restart the gameplay clock and input edge detection so playback sees identical ticks
+        this.simulationTime = 0;
+        this.tick = 0;
+        this.inputManager.clearAllKeys();
+        this.godMode = false;
+
+        this.gameState.startNewGame(difficulty, shipColor);
+        this.asteroidCollisions = this.replayManager.isPlaying()
+            ? Boolean(this.replayManager.header.asteroidCollisions)
+            : this.resolveAsteroidCollisions(difficulty);
+        const fireMode = this.replayManager.isPlaying()
+            ? this.replayManager.header.fireMode || 'auto'
+            : this.fireMode;
+
+        this.ship = new Ship({
+            position: { x: this.width / 2, y: this.height / 2 },
+            color: shipColor,
+            fireMode,
+            screenWidth: this.width,
+            screenHeight: this.height,
+            rng: this.random.stream('gameplay')
+        });
+
+        // Clear previous entities and history
+        this.entityManager.clearAllEntities();
+        this.entityManager.setDropTable(getDropTable(difficulty));
+        this.rewindBuffer.clear();
+
+        this.startNextLevel();
+
+        // Record every game unless it is itself a replay
+        if (!this.replayManager.isPlaying()) {
+            this.replayManager.startRecording({
+                seed: this.seed,
+                difficulty,
+                shipColor,
+                tickRate: this.tickRate,
+                asteroidCollisions: this.asteroidCollisions,
+                fireMode
+            }, Object.keys(this.inputManager.keyBindings));
+        }
+    }
+
+    /**
+     * Play back a recorded replay from its start
+     * @param {Object} replay Replay data from getLastReplay()
+     * @returns {Object} Load result with a reason when the replay is refused
+     */
+    startPlayback(replay) {
+        if (this.replayManager.isRecording()) {
+            this.lastReplay = this.replayManager.stopRecording();
+        }
+
+        const result = this.replayManager.startPlayback(replay);
+        if (!result.success) {
+            return result;
+        }
+
+        this.liveTickRate = this.tickRate;
+        this.setTickRate(replay.tickRate);
+        this.startNewGame(replay.difficulty, replay.shipColor, replay.seed);
+
+        return result;
+    }
+
+    /**
+     * Stop replay playback and hand control back to live input
+     */
+    stopPlayback() {
+        if (!this.replayManager.isPlaying()) return;
+
+        this.replayManager.stopPlayback();
+        this.setTickRate(this.liveTickRate);
+
+        if (this.gameState.gamePhase === 'playing') {
+            this.gameState.returnToMenu();
+        }
+    }
+
+    /**
+     * Check if a replay is being played back
+     * @returns {boolean} True during playback
+     */
+    isPlayingReplay() {
+        return this.replayManager.isPlaying();
+    }
+
+    /**
+     * Get the replay of the most recently finished game
+     * @returns {Object|null} Replay data
+     */
+    getLastReplay() {
+        return this.lastReplay;
+    }
+
+    /**
+     * Capture the complete world state
+     * @returns {Object} Serializable snapshot of game state, ship, entities, timers and random streams
+     */
+    getSnapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            tick: this.tick,
+            simulationTime: this.simulationTime,
+            tickRate: this.tickRate,
+            seed: this.seed,
+            difficulty: this.selectedDifficulty,
+            shipColor: this.selectedShipColor,
+            asteroidCollisions: this.asteroidCollisions,
+            random: this.random.getState(),
+            input: { previousFrame: { ...this.inputManager.previousFrame } },
+            gameState: this.gameState.getConfig(),
+            ship: this.ship ? this.ship.getConfig() : null,
+            entities: this.entityManager.getConfig()
+        };
+    }
+
+    /**
+     * Restore the complete world state from a snapshot
+     * @param {Object} snapshot Snapshot from getSnapshot()
+     * @returns {Object} Restore result with a reason when the snapshot is refused
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            return { success: false, reason: `Unsupported save version ${snapshot?.version}` };
+        }
+
+        // A replay can't describe a game resumed mid-way, so drop any recording or playback
+        if (this.replayManager.isRecording()) {
+            this.replayManager.stopRecording();
+        }
+        if (this.replayManager.isPlaying()) {
+            this.replayManager.stopPlayback();
+            this.tickRate = this.liveTickRate;
+        }
+
+        // History belongs to the game being replaced
+        this.rewindBuffer.clear();
+        this.pendingBranch = false;
+        this.suppressHeldPause = false;
+
+        this.applySnapshot(snapshot);
+        this.inputManager.clearAllKeys();
+        this.inputManager.previousFrame = { ...snapshot.input?.previousFrame };
+
+        return { success: true };
+    }
+
+    /**
+     * Overwrite the world with a snapshot's state
+     * @param {Object} snapshot Snapshot from getSnapshot()
+     */
+    applySnapshot(snapshot) {
+        this.setTickRate(snapshot.tickRate || this.tickRate);
+        this.seed = snapshot.seed;
+        this.selectedDifficulty = snapshot.difficulty;
+        this.selectedShipColor = snapshot.shipColor;
+        this.asteroidCollisions = Boolean(snapshot.asteroidCollisions);
+
+        this.gameState.setConfig(snapshot.gameState);
+
+        this.ship = null;
+        if (snapshot.ship) {
+            this.ship = new Ship({
+                color: snapshot.ship.color,
+                screenWidth: this.width,
+                screenHeight: this.height,
+                rng: this.random.stream('gameplay')
+            });
+            this.ship.setConfig(snapshot.ship);
+        }
+
+        this.entityManager.setConfig(snapshot.entities);
+        this.entityManager.setDropTable(getDropTable(snapshot.difficulty));
+
+        // Restore random streams last; rebuilding entities may have drawn from them
+        this.random.setState(snapshot.random);
+
+        this.simulationTime = snapshot.simulationTime;
+        this.tick = snapshot.tick;
+    }
+
+    /**
+     * Scrub through rewind history while paused
+     * @param {number} delta Ticks to move (negative = back in time)
+     */
+    scrubRewind(delta) {
+        const snapshot = this.rewindBuffer.scrub(delta);
+        if (!snapshot) return;
+
+        this.applySnapshot(snapshot);
+        this.gameState.pause();
+    }
+
+    /**
+     * Resume play from the rewound point, discarding the future that was rewound over
+     */
+    branchTimeline() {
+        const snapshot = this.rewindBuffer.getCurrent();
+        this.rewindBuffer.branch();
+        this.pendingBranch = false;
+
+        // Continue exactly as if play had never gone past this tick
+        this.applySnapshot(snapshot);
+        this.inputManager.previousFrame = { ...snapshot.input?.previousFrame };
+        this.replayManager.truncate(snapshot.tick);
+        this.suppressHeldPause = true;
+    }
+
+    /**
+     * Get timeline data for the rewind scrubber
+     * @returns {Object} Snapshot count, capacity, cursor and tick rate
+     */
+    getRewindState() {
+        return {
+            ...this.rewindBuffer.getState(),
+            isRewound: this.rewindBuffer.isRewound(),
+            tickRate: this.tickRate
+        };
+    }
+
+    /**
+     * Get the seed used by the current game (include it in bug reports)
+     * @returns {number} Game seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Set the simulation tick rate
+     * @param {number} tickRate Simulation ticks per second
+     */
+    setTickRate(tickRate) {
+        this.tickRate = tickRate;
+        this.fixedDeltaTime = 1000 / tickRate;
+    }
+
+    /**
+     * Choose whether asteroids bounce off each other (takes effect from the next game)
+     * @param {string} mode 'difficulty' to follow the difficulty preset, or 'on' / 'off'
+     * @returns {Object} Result with a reason when the mode is unknown
+     */
+    setAsteroidCollisionMode(mode) {
+        if (!['difficulty', 'on', 'off'].includes(mode)) {
+            return { success: false, reason: `Unknown asteroid collision mode "${mode}"` };
+        }
+
+        this.asteroidCollisionMode = mode;
+        return { success: true };
+    }
+
+    /**
+     * Choose the ship's fire mode (takes effect from the next game)
+     * @param {string} mode 'manual', 'auto', 'burst' or 'charge'
+     * @returns {Object} Result with a reason when the mode is unknown
+     */
+    setFireMode(mode) {
+        if (!Ship.isFireMode(mode)) {
+            return { success: false, reason: `Unknown fire mode "${mode}"` };
+        }
+
+        this.fireMode = mode;
+        return { success: true };
+    }
+
+    /**
+     * Count the player's projectiles still in flight
+     * @returns {number} Active ship-owned projectiles
+     */
+    countShipProjectiles() {
+        let count = 0;
+        for (const projectile of this.entityManager.projectiles) {
+            if (projectile.isActive && projectile.owner === 'ship') {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Decide whether asteroids collide in a game at the given difficulty
+     * @param {string} difficulty Difficulty level
+     * @returns {boolean} True if asteroids bounce off each other
+     */
+    resolveAsteroidCollisions(difficulty) {
+        if (this.asteroidCollisionMode !== 'difficulty') {
+            return this.asteroidCollisionMode === 'on';
+        }
+        return Boolean(this.gameState.difficultySettings[difficulty]?.asteroidCollisions);
+    }
+
+    /**
+     * Advance the simulation by exactly one fixed tick
+     * @param {Object} inputFrame Action states for this tick, e.g. { thrust: true, rotateLeft: false }
+     * @returns {Object} Game state configuration after the tick
+     */
+    step(inputFrame = {}) {
+        let frame = inputFrame;
+
+        // During playback recorded frames replace live input
+        if (this.replayManager.isPlaying()) {
+            frame = this.replayManager.nextFrame();
+            if (!frame) {
+                this.stopPlayback();
+                return this.gameState.getConfig();
+            }
+        } else {
+            if (this.suppressHeldPause) {
+                if (frame.pause) {
+                    frame = { ...frame, pause: false };
+                } else {
+                    this.suppressHeldPause = false;
+                }
+            }
+            this.replayManager.recordFrame(frame);
+        }
+
+        this.update(this.fixedDeltaTime, this.simulationTime, frame);
+
+        // Resuming from a rewound point replaces this tick with the rewound state
+        if (this.pendingBranch) {
+            this.branchTimeline();
+            return this.gameState.getConfig();
+        }
+
+        this.simulationTime += this.fixedDeltaTime;
+        this.tick++;
+
+        // Keep history of live play for rewinding
+        if (this.gameState.gamePhase === 'playing' && !this.gameState.isPaused) {
+            this.rewindBuffer.push(this.getSnapshot());
+        }
+
+        // Close the recording once the game is over or abandoned
+        if (this.replayManager.isRecording() && this.gameState.gamePhase !== 'playing') {
+            this.lastReplay = this.replayManager.stopRecording();
+        }
+
+        // Leaving to the menu ends playback
+        if (this.replayManager.isPlaying() && this.gameState.gamePhase === 'menu') {
+            this.stopPlayback();
+        }
+
+        return this.gameState.getConfig();
+    }
+
+    /**
+     * Advance all game systems by one simulation tick
+     * @param {number} deltaTime Fixed tick duration in milliseconds
+     * @param {number} currentTime Simulation time at the start of the tick
+     * @param {Object} inputFrame Action states for this tick
+     */
+    update(deltaTime, currentTime, inputFrame) {
+        this.storePreviousStates();
+
+        const entityCounts = this.entityManager.getEntityCounts();
+        this.gameState.update(deltaTime, { asteroidCount: entityCounts.asteroids });
+
+        // Process input ALWAYS (even when paused, for pause/unpause functionality)
+        const inputResult = this.inputManager.processInput({
+            ship: this.ship,
+            gameState: this.gameState,
+            deltaTime,
+            currentTime,
+            shotsInFlight: this.countShipProjectiles(),
+            frame: inputFrame
+        });
+
+        this.handleInputActions(inputResult.actions);
+
+        // Skip remaining game updates if paused, game over, or in menu
+        if (this.gameState.isPaused || this.gameState.isGameOver || this.gameState.gamePhase === 'menu') {
+            return;
+        }
+
+        this.gameState.updateLevelTransition(deltaTime);
+        this.gameState.updatePowerUps(deltaTime);
+
+        if (inputResult.newProjectile) {
+            this.fireShipProjectile(inputResult.newProjectile);
+        }
+
+        this.updateSaucers(deltaTime);
+        this.updateHyperspace(deltaTime);
+
+        const allEntities = this.entityManager.getAllActiveEntities();
+        if (this.ship) {
+            allEntities.push(this.ship);
+        }
+
+        // Gravity wells pull before anything moves
+        this.physicsEngine.applyGravityWells(this.entityManager.getEntitiesByType('gravityWell'), allEntities, deltaTime);
+
+        // Every entity is advanced exactly once per tick
+        this.physicsEngine.updateEntities(allEntities, deltaTime);
+        this.physicsEngine.updateEntities(this.entityManager.getEntitiesByType('particle'), deltaTime);
+        this.entityManager.update();
+
+        const collisionResult = this.physicsEngine.detectCollisions(allEntities);
+        this.handleCollisions(collisionResult.collisions);
+
+        // Check for level completion (once per level; the field is empty until the transition ends)
+        if (this.gameState.scenes.current === Scenes.playing && this.entityManager.getEntityCounts().asteroids === 0) {
+            this.handleLevelComplete();
+        }
+    }
+
+    /**
+     * Handle input actions
+     * @param {Array<string>} actions Array of input actions
+     */
+    handleInputActions(actions) {
+        for (const action of actions) {
+            switch (action) {
+                case 'toggle-pause':
+                    if (this.rewindBuffer.isRewound()) {
+                        // Resumes once the tick completes (see step)
+                        this.pendingBranch = true;
+                    } else if (this.gameState.isPaused) {
+                        this.gameState.resume();
+                    } else {
+                        this.gameState.pause();
+                    }
+                    break;
+                case 'rewind-back':
+                    this.scrubRewind(-this.rewindScrubSpeed);
+                    break;
+                case 'rewind-forward':
+                    this.scrubRewind(this.rewindScrubSpeed);
+                    break;
+                case 'escape':
+                    this.gameState.returnToMenu();
+                    break;
+                case 'hyperspace':
+                    this.jumpToHyperspace();
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Remember where everything was and how it was turned before this tick's input and physics,
+     * so rendering can blend ship rotation as well as movement between ticks
+     */
+    storePreviousStates() {
+        const entities = this.entityManager.getAllActiveEntities();
+        if (this.ship) {
+            entities.push(this.ship);
+        }
+        this.physicsEngine.storePreviousStates(entities);
+        this.physicsEngine.storePreviousStates(this.entityManager.getEntitiesByType('particle'));
+    }
+
+    /**
+     * Register what happens when each pair of entity types collides
+     * Pairs without a response (or filtered out by collision layers) pass through each other
+     */
+    registerCollisionResponses() {
+        const responses = this.collisionResponses;
+
+        responses.register('ship', 'asteroid', (ship, asteroid, collision) => this.handleShipAsteroidCollision(ship, asteroid, collision));
+        responses.register('projectile', 'asteroid', (projectile, asteroid, collision) => this.handleProjectileHit(projectile, asteroid, collision));
+        responses.register('asteroid', 'asteroid', (asteroidA, asteroidB, collision) => this.handleAsteroidBounce(asteroidA, asteroidB, collision));
+        responses.register('ship', 'projectile', (ship, projectile, collision) => this.handleShipShot(ship, projectile, collision));
+        responses.register('projectile', 'saucer', (projectile, saucer) => this.handleSaucerShot(projectile, saucer));
+        responses.register('ship', 'saucer', (ship, saucer, collision) => this.handleSaucerRam(ship, saucer, collision));
+        responses.register('saucer', 'asteroid', (saucer, asteroid, collision) => this.handleSaucerCrash(saucer, asteroid, collision));
+        responses.register('ship', 'powerUp', (ship, powerUp) => this.handlePowerUpPickup(ship, powerUp));
+
+        for (const type of ['ship', 'asteroid', 'projectile', 'saucer']) {
+            responses.register('gravityWell', type, (well, entity) => this.handleGravityWellContact(well, entity));
+        }
+    }
+
+    /**
+     * Put the ship's shot into the world, fanned out while spread shot is active
+     * @param {Object} shot Projectile data from the ship
+     */
+    fireShipProjectile(shot) {
+        let projectiles;
+        if (this.ship.hasPowerUp('spreadShot')) {
+            const { count, spread } = POWER_UPS.spreadShot;
+            projectiles = this.entityManager.createProjectileSpread(shot, this.ship.projectileSpeed, count, spread);
+        } else {
+            projectiles = [this.entityManager.createProjectile(shot)];
+        }
+
+        for (const projectile of projectiles) {
+            this.events.emit(GameEvents.projectileFired, {
+                position: projectile.position.clone(),
+                velocity: projectile.velocity.clone()
+            });
+        }
+    }
+
+    /**
+     * Handle collision events
+     * @param {Array} collisions Array of collision data, earliest impact first
+     */
+    handleCollisions(collisions) {
+        for (const collision of collisions) {
+            this.collisionResponses.dispatch(collision);
+        }
+    }
+
+    /**
+     * Crash the ship into something lethal, or take the hit on the shield
+     * @param {Ship} ship Player ship
+     * @param {Object} other Asteroid, gravity well, saucer or saucer shot it hit
+     * @param {Object} collision Collision data (the shield's cost depends on the impact speed)
+     * @returns {Object|null} Ship's collision result, or null in god mode
+     */
+    handleShipCollision(ship, other, collision = null) {
+        if (this.godMode) return null;
+
+        // A destroyed ship respawns inside onCollision, so note where it was hit first
+        const position = ship.position.clone();
+        const result = ship.onCollision(other, collision);
+        if (result.outcome === 'destroyed') {
+            this.events.emit(GameEvents.shipDestroyed, {
+                position,
+                color: ship.color
+            });
+        } else if (result.outcome === 'deflected' && result.impactSpeed > 0) {
+            this.events.emit(GameEvents.shieldHit, {
+                position: collision.point.clone(),
+                energyUsed: result.energyUsed,
+                energyRemaining: ship.shieldEnergy
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Crash the ship into an asteroid; with the shield up the ship bounces off instead
+     * @param {Ship} ship Player ship
+     * @param {Asteroid} asteroid Asteroid it hit
+     * @param {Object} collision Collision data
+     */
+    handleShipAsteroidCollision(ship, asteroid, collision) {
+        if (!asteroid.isActive) return;
+
+        const result = this.handleShipCollision(ship, asteroid, collision);
+        if (result?.outcome === 'deflected') {
+            this.physicsEngine.resolveElasticCollision(collision);
+        }
+    }
+
+    /**
+     * Destroy the asteroid a projectile hit
+     * The shot's momentum goes into the fragments
+     * @param {Projectile} projectile Projectile that hit
+     * @param {Asteroid} asteroid Asteroid that was hit
+     * @param {Object} collision Collision data (the asteroid fractures from its contact point)
+     */
+    handleProjectileHit(projectile, asteroid, collision) {
+        // Uses up the projectile, unless it pierces on to the next target
+        if (!asteroid.isActive || !projectile.onCollision(asteroid)) return;
+
+        if (!asteroid.onCollision(projectile)) return;
+
+        // Destroy asteroid and create fragments
+        const fragments = this.entityManager.destroyAsteroid(asteroid, {
+            point: collision.point,
+            direction: projectile.velocity,
+            impulse: projectile.getMomentum()
+        });
+
+        this.events.emit(GameEvents.asteroidDestroyed, {
+            size: asteroid.size,
+            position: asteroid.position.clone(),
+            radius: asteroid.radius,
+            color: asteroid.color,
+            fragmentCount: fragments.length,
+            destroyedBy: projectile.owner
+        });
+    }
+
+    /**
+     * Hit the ship with a saucer's shot
+     * @param {Ship} ship Player ship
+     * @param {Projectile} projectile Saucer projectile
+     * @param {Object} collision Collision data
+     */
+    handleShipShot(ship, projectile, collision) {
+        if (!projectile.isActive || ship.isInvulnerable) return;
+
+        this.entityManager.destroyProjectile(projectile);
+        this.handleShipCollision(ship, projectile, collision);
+    }
+
+    /**
+     * Destroy a saucer hit by one of the ship's shots
+     * @param {Projectile} projectile Ship projectile
+     * @param {Saucer} saucer Saucer that was hit
+     */
+    handleSaucerShot(projectile, saucer) {
+        if (!saucer.isActive || !projectile.onCollision(saucer)) return;
+
+        this.destroySaucer(saucer, projectile.owner);
+    }
+
+    /**
+     * Crash the ship into a saucer; the saucer goes down with it and counts as the player's kill
+     * A shielded ship survives the ram if the shield holds
+     * @param {Ship} ship Player ship
+     * @param {Saucer} saucer Saucer it hit
+     * @param {Object} collision Collision data
+     */
+    handleSaucerRam(ship, saucer, collision) {
+        if (!saucer.isActive || ship.isInvulnerable) return;
+
+        this.handleShipCollision(ship, saucer, collision);
+        this.destroySaucer(saucer, 'ship');
+    }
+
+    /**
+     * Collect a power-up: ship effects start on the ship, the rest are left to GameState
+     * @param {Ship} ship Player ship
+     * @param {PowerUp} powerUp Pickup it flew into
+     */
+    handlePowerUpPickup(ship, powerUp) {
+        if (!powerUp.isActive) return;
+
+        powerUp.isActive = false;
+        const definition = POWER_UPS[powerUp.kind];
+        if (definition.appliesTo === 'ship') {
+            ship.addPowerUp(powerUp.kind, definition.duration);
+        }
+
+        this.events.emit(GameEvents.powerUpCollected, {
+            kind: powerUp.kind,
+            label: definition.label,
+            position: powerUp.position.clone(),
+            color: definition.color,
+            duration: definition.duration
+        });
+    }
+
+    /**
+     * Fly a saucer into an asteroid, destroying both without scoring
+     * @param {Saucer} saucer Saucer that crashed
+     * @param {Asteroid} asteroid Asteroid it hit
+     * @param {Object} collision Collision data (the asteroid fractures from its contact point)
+     */
+    handleSaucerCrash(saucer, asteroid, collision) {
+        if (!saucer.isActive || !asteroid.isActive) return;
+
+        this.destroySaucer(saucer, 'asteroid');
+
+        const fragments = this.entityManager.destroyAsteroid(asteroid, {
+            point: collision.point,
+            direction: saucer.velocity
+        });
+
+        this.events.emit(GameEvents.asteroidDestroyed, {
+            size: asteroid.size,
+            position: asteroid.position.clone(),
+            radius: asteroid.radius,
+            color: asteroid.color,
+            fragmentCount: fragments.length,
+            destroyedBy: 'saucer'
+        });
+    }
+
+    /**
+     * Destroy a saucer and announce who gets the credit
+     * @param {Saucer} saucer Saucer to destroy
+     * @param {string} destroyedBy 'ship' scores; anything else doesn't
+     */
+    destroySaucer(saucer, destroyedBy) {
+        this.entityManager.destroySaucer(saucer);
+        this.events.emit(GameEvents.saucerDestroyed, {
+            kind: saucer.kind,
+            position: saucer.position.clone(),
+            color: saucer.color,
+            destroyedBy
+        });
+    }
+
+    /**
+     * Jump the ship to a random spot
+     * @returns {boolean} True if the ship jumped
+     */
+    jumpToHyperspace() {
+        if (!this.ship || this.gameState.gamePhase !== 'playing' || !this.ship.canHyperspace()) {
+            return false;
+        }
+
+        const from = this.ship.position.clone();
+        const destination = this.findHyperspaceDestination();
+        this.ship.enterHyperspace(destination);
+
+        this.events.emit(GameEvents.hyperspaceJumped, {
+            from,
+            to: destination.clone(),
+            color: this.ship.color
+        });
+        return true;
+    }
+
+    /**
+     * Pick where a hyperspace jump lands
+     * Anywhere at all, except on difficulties with safe hyperspace, where a few tries are
+     * made to find a spot clear of every asteroid
+     * @returns {Vector2D} Destination
+     */
+    findHyperspaceDestination() {
+        const rng = this.random.stream('gameplay');
+        const attempts = this.gameState.isHyperspaceSafe() ? 20 : 1;
+
+        let destination;
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            destination = new Vector2D(rng.next() * this.width, rng.next() * this.height);
+            if (this.isClearOfAsteroids(destination)) break;
+        }
+        return destination;
+    }
+
+    /**
+     * Check that the ship would re-enter clear of every asteroid
+     * Each rock's clearance includes how far it drifts while the ship is gone
+     * @param {Vector2D} position Candidate destination
+     * @returns {boolean} True if no asteroid can be there on re-entry
+     */
+    isClearOfAsteroids(position) {
+        const jumpSeconds = this.ship.hyperspaceDuration / 1000;
+
+        return this.entityManager.getEntitiesByType('asteroid').every(asteroid => {
+            const clearance = this.ship.boundingRadius + asteroid.boundingRadius +
+                asteroid.velocity.magnitude() * jumpSeconds;
+            const offset = this.physicsEngine.getWrappedDelta(position, asteroid.position);
+            return offset.magnitudeSquared() > clearance * clearance;
+        });
+    }
+
+    /**
+     * Bring the ship back from hyperspace; re-entry can blow it up
+     * @param {number} deltaTime Fixed tick duration in milliseconds
+     */
+    updateHyperspace(deltaTime) {
+        const ship = this.ship;
+        if (!ship || !ship.updateHyperspace(deltaTime)) return;
+
+        const rng = this.random.stream('gameplay');
+        if (rng.chance(this.gameState.getHyperspaceFailureChance()) && !this.godMode) {
+            this.events.emit(GameEvents.shipDestroyed, {
+                position: ship.position.clone(),
+                color: ship.color
+            });
+            ship.destroy();
+        }
+    }
+
+    /**
+     * Send in saucers on the level's timer and let flying ones shoot
+     * The timer only runs during play with no saucer on screen
+     * @param {number} deltaTime Fixed tick duration in milliseconds
+     */
+    updateSaucers(deltaTime) {
+        const saucers = this.entityManager.getEntitiesByType('saucer');
+
+        if (saucers.length === 0 && this.gameState.scenes.current === Scenes.playing &&
+            this.gameState.updateSaucerTimer(deltaTime)) {
+            const rng = this.random.stream('gameplay');
+            const kind = rng.chance(this.gameState.getSmallSaucerChance()) ? 'small' : 'large';
+            this.entityManager.createSaucer({
+                kind,
+                heading: rng.chance(0.5) ? 1 : -1,
+                position: new Vector2D(0, rng.range(0.15, 0.85) * this.height)
+            });
+        }
+
+        // A ship in hyperspace can't be aimed at
+        const target = this.ship && !this.ship.isInHyperspace() ? this.ship : null;
+        for (const saucer of saucers) {
+            const projectile = saucer.createProjectile(target);
+            if (projectile) {
+                this.entityManager.createProjectile(projectile);
+            }
+        }
+    }
+
+    /**
+     * Bounce two asteroids off each other (optional; rocks pass through each other otherwise)
+     * @param {Asteroid} asteroidA First asteroid
+     * @param {Asteroid} asteroidB Second asteroid
+     * @param {Object} collision Collision data
+     */
+    handleAsteroidBounce(asteroidA, asteroidB, collision) {
+        // Skip rocks a projectile already destroyed earlier in this pass
+        if (this.asteroidCollisions && asteroidA.isActive && asteroidB.isActive) {
+            this.physicsEngine.resolveElasticCollision(collision);
+        }
+    }
+
+    /**
+     * Destroy whatever reaches a gravity well's core
+     * Swallowed asteroids and saucers score nothing; the ship loses a life as if it had crashed
+     * @param {GravityWell} well Well whose core was reached
+     * @param {Object} entity Ship, asteroid, saucer or projectile touching the core
+     */
+    handleGravityWellContact(well, entity) {
+        if (entity === this.ship) {
+            this.handleShipCollision(entity, well);
+            return;
+        }
+
+        if (!entity.isActive) return;
+
+        entity.isActive = false;
+        this.entityManager.entitiesDestroyed++;
+        this.events.emit(GameEvents.entitySwallowed, {
+            entityType: entity.type,
+            position: entity.position.clone(),
+            color: entity.color
+        });
+    }
+
+    /**
+     * Handle level completion
+     */
+    handleLevelComplete() {
+        this.gameState.completeLevel();
+    }
+
+    /**
+     * Create the asteroid field and hazards for the level that is starting
+     */
+    startNextLevel() {
+        const asteroidCount = this.gameState.getAsteroidCountForLevel();
+        this.entityManager.createAsteroidField(
+            asteroidCount,
+            this.ship.position,
+            this.selectedDifficulty
+        );
+
+        this.entityManager.createGravityWells(getLevelLayout(this.gameState.level).gravityWells);
+    }
+
+    // Developer commands - these change the world outside of recorded input,
+    // so the replay of the game in progress is discarded
+
+    /**
+     * Check that a developer command can run, and stop recording the replay it would break
+     * @returns {Object|null} Failure result, or null if the command may run
+     */
+    beginDevCommand() {
+        if (this.gameState.gamePhase !== 'playing') {
+            return { success: false, reason: 'No game in progress' };
+        }
+        if (this.replayManager.isPlaying()) {
+            return { success: false, reason: 'Not available during replay playback' };
+        }
+
+        if (this.replayManager.isRecording()) {
+            this.replayManager.stopRecording();
+        }
+        return null;
+    }
+
+    /**
+     * Spawn an asteroid
+     * @param {string} size 'large', 'medium' or 'small'
+     * @param {number} x X position (random if omitted)
+     * @param {number} y Y position (random if omitted)
+     * @returns {Object} Command result
+     */
+    spawnAsteroid(size = 'large', x, y) {
+        if (!['large', 'medium', 'small'].includes(size)) {
+            return { success: false, reason: `Unknown asteroid size: ${size}` };
+        }
+        if ((x !== undefined && !Number.isFinite(x)) || (y !== undefined && !Number.isFinite(y))) {
+            return { success: false, reason: 'Position must be two numbers' };
+        }
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        const rng = this.random.stream('gameplay');
+        const position = new Vector2D(
+            x ?? rng.next() * this.width,
+            y ?? rng.next() * this.height
+        );
+        const asteroid = this.entityManager.createAsteroid({
+            position,
+            velocity: Vector2D.fromAngle(rng.angle(), 20 + rng.next() * 40),
+            size
+        });
+
+        return { success: true, message: `Spawned ${size} asteroid #${asteroid.id} at ${position.x.toFixed(0)}, ${position.y.toFixed(0)}` };
+    }
+
+    /**
+     * Place a gravity well
+     * @param {string} kind 'planet' or 'blackHole'
+     * @param {number} x X position (random if omitted)
+     * @param {number} y Y position (random if omitted)
+     * @returns {Object} Command result
+     */
+    spawnGravityWell(kind = 'blackHole', x, y) {
+        if (!GravityWell.isKind(kind)) {
+            return { success: false, reason: `Unknown well kind: ${kind}` };
+        }
+        if ((x !== undefined && !Number.isFinite(x)) || (y !== undefined && !Number.isFinite(y))) {
+            return { success: false, reason: 'Position must be two numbers' };
+        }
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        const rng = this.random.stream('gameplay');
+        const position = new Vector2D(
+            x ?? rng.next() * this.width,
+            y ?? rng.next() * this.height
+        );
+        const well = this.entityManager.createGravityWell({ kind, position });
+
+        return { success: true, message: `Spawned ${kind} #${well.id} at ${position.x.toFixed(0)}, ${position.y.toFixed(0)}` };
+    }
+
+    /**
+     * Send in a flying saucer from the left edge
+     * @param {string} kind 'large' or 'small'
+     * @returns {Object} Command result
+     */
+    spawnSaucer(kind = 'large') {
+        if (!Saucer.isKind(kind)) {
+            return { success: false, reason: `Unknown saucer kind: ${kind}` };
+        }
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        const rng = this.random.stream('gameplay');
+        const saucer = this.entityManager.createSaucer({
+            kind,
+            position: new Vector2D(0, rng.range(0.15, 0.85) * this.height)
+        });
+
+        return { success: true, message: `Spawned ${kind} saucer #${saucer.id}` };
+    }
+
+    /**
+     * Drop a power-up pickup
+     * @param {string} kind Power-up kind (see data/powerUps.js)
+     * @param {number} x X position (random if omitted)
+     * @param {number} y Y position (random if omitted)
+     * @returns {Object} Command result
+     */
+    spawnPowerUp(kind, x, y) {
+        if (!PowerUp.isKind(kind)) {
+            return { success: false, reason: `Unknown power-up: ${kind}` };
+        }
+        if ((x !== undefined && !Number.isFinite(x)) || (y !== undefined && !Number.isFinite(y))) {
+            return { success: false, reason: 'Position must be two numbers' };
+        }
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        const rng = this.random.stream('gameplay');
+        const position = new Vector2D(
+            x ?? rng.next() * this.width,
+            y ?? rng.next() * this.height
+        );
+        const powerUp = this.entityManager.createPowerUp({
+            kind,
+            position,
+            lifespan: getDropTable(this.selectedDifficulty).lifespan
+        });
+
+        return { success: true, message: `Spawned ${kind} #${powerUp.id} at ${position.x.toFixed(0)}, ${position.y.toFixed(0)}` };
+    }
+
+    /**
+     * Remove every asteroid (the level completes when play resumes unless new ones are spawned)
+     * @returns {Object} Command result
+     */
+    clearAsteroids() {
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        const count = this.entityManager.getEntityCounts().asteroids;
+        this.entityManager.asteroids.forEach(asteroid => asteroid.isActive = false);
+        this.entityManager.update();
+
+        return { success: true, message: `Removed ${count} asteroids` };
+    }
+
+    /**
+     * Jump to a level with a fresh asteroid field
+     * @param {number} level Level number
+     * @returns {Object} Command result
+     */
+    setLevel(level) {
+        if (!Number.isInteger(level) || level < 1) {
+            return { success: false, reason: 'Level must be a positive whole number' };
+        }
+        if (this.gameState.scenes.has(Scenes.levelTransition)) {
+            return { success: false, reason: 'Wait for the level transition to finish' };
+        }
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        this.gameState.level = level;
+        this.gameState.levelStartTime = this.simulationTime;
+        this.gameState.asteroidsDestroyed = 0;
+
+        this.entityManager.asteroids.forEach(asteroid => asteroid.isActive = false);
+        this.entityManager.update();
+        this.startNextLevel();
+
+        return { success: true, message: `Level ${level}` };
+    }
+
+    /**
+     * Set the number of lives
+     * @param {number} lives Lives remaining
+     * @returns {Object} Command result
+     */
+    setLives(lives) {
+        if (!Number.isInteger(lives) || lives < 1) {
+            return { success: false, reason: 'Lives must be a positive whole number' };
+        }
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        this.gameState.lives = lives;
+        return { success: true, message: `Lives set to ${lives}` };
+    }
+
+    /**
+     * Toggle ship invulnerability
+     * @param {boolean} enabled New state (toggles if omitted)
+     * @returns {Object} Command result
+     */
+    setGodMode(enabled = !this.godMode) {
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        this.godMode = enabled;
+        return { success: true, message: `God mode ${enabled ? 'on' : 'off'}` };
+    }
+
+    /**
+     * Move the ship and bring it to rest
+     * @param {number} x X position
+     * @param {number} y Y position
+     * @returns {Object} Command result
+     */
+    teleportShip(x, y) {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return { success: false, reason: 'Position must be two numbers' };
+        }
+        const failure = this.beginDevCommand();
+        if (failure) return failure;
+
+        this.ship.position.set(x, y);
+        if (this.ship.previousPosition) {
+            this.ship.previousPosition.set(x, y);
+        }
+        this.ship.velocity.zero();
+
+        return { success: true, message: `Ship moved to ${x}, ${y}` };
+    }
+
+    /**
+     * Collect everything a renderer needs to draw the current state
+     * @returns {Object} Render data
+     */
+    getRenderData() {
+        const renderData = {
+            entities: this.entityManager.getAllActiveEntities(),
+            particles: this.entityManager.getEntitiesByType('particle'),
+            gameState: this.gameState.getUIState(),
+            rewind: this.getRewindState(),
+            hyperspace: null,
+            shield: null,
+            powerUps: []
+        };
+
+        // Add ship to entities if active
+        if (this.ship && this.gameState.gamePhase === 'playing') {
+            renderData.entities.push(this.ship);
+            renderData.hyperspace = this.ship.getHyperspaceState();
+            renderData.shield = this.ship.getShieldState();
+            renderData.powerUps = [...this.ship.getActivePowerUps(), ...this.gameState.getActivePowerUps()];
+        }
+
+        return renderData;
+    }
+
+    /**
+     * Resize the simulated world
+     * @param {number} width New width
+     * @param {number} height New height
+     */
+    setScreenDimensions(width, height) {
+        this.width = width;
+        this.height = height;
+
+        this.physicsEngine.setScreenDimensions(width, height);
+        this.entityManager.setScreenDimensions(width, height);
+
+        // Update ship screen bounds
+        if (this.ship) {
+            this.ship.screenWidth = width;
+            this.ship.screenHeight = height;
+        }
+    }
+
+    /**
+     * Release simulation resources
+     */
+    destroy() {
+        this.events.clear();
+        this.entityManager.clearAllEntities();
+        this.inputManager.destroy();
+    }
+}
@@ -0,0 +1,254 @@
+import { Polygon } from '../lib/Polygon.js';
+
+/**
+ * Overlay modes, cycled by toggle()
+ */
+const MODES = ['off', 'stats', 'shapes'];
+
+/**
+ * DebugOverlay - Canvas overlay for playtesting
+ * Graphs frame, update and render time, lists entity, pool and collision statistics,
+ * and can outline collision circles, polygons and occupied spatial-grid cells.
+ * Timings are sampled every frame into fixed typed arrays; the text panel is only
+ * rebuilt a few times per second so leaving the overlay on costs next to nothing
+ */
+export class DebugOverlay {
+    /**
+     * @param {CanvasRenderingContext2D} context Context to draw on
+     * @param {Object} options Optional overrides: sampleCount, panelRefreshInterval
+     */
+    constructor(context, options = {}) {
+        this.context = context;
+        this.mode = 'off';
+
+        // Timing history ring buffers (milliseconds per frame)
+        this.sampleCount = options.sampleCount || 120;
+        this.samples = {
+            frame: new Float32Array(this.sampleCount),
+            update: new Float32Array(this.sampleCount),
+            render: new Float32Array(this.sampleCount)
+        };
+        this.sampleIndex = 0;
+
+        // Cached text panel
+        this.panelRefreshInterval = options.panelRefreshInterval || 250;
+        this.panelLines = [];
+        this.lastPanelRefresh = -Infinity;
+
+        // Layout (panel starts below the score/lives HUD)
+        this.panelTop = 70;
+        this.graphWidth = this.sampleCount * 2;
+        this.graphHeight = 60;
+        this.graphScale = 2; // Pixels per millisecond
+        this.seriesColors = {
+            frame: '#FFFFFF',
+            update: '#00FF88',
+            render: '#FF8800'
+        };
+    }
+
+    /**
+     * Cycle through off, statistics, and statistics with collision shapes
+     * @returns {string} New mode
+     */
+    toggle() {
+        this.mode = MODES[(MODES.indexOf(this.mode) + 1) % MODES.length];
+        this.lastPanelRefresh = -Infinity;
+        return this.mode;
+    }
+
+    /**
+     * Check if the overlay is drawn
+     * @returns {boolean} True unless switched off
+     */
+    isEnabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Record one frame's timings (always sampled, so the graph has history when shown)
+     * @param {number} frameTime Real time since last frame
+     * @param {number} updateTime Time spent updating
+     * @param {number} renderTime Time spent rendering
+     */
+    recordFrame(frameTime, updateTime, renderTime) {
+        this.samples.frame[this.sampleIndex] = frameTime;
+        this.samples.update[this.sampleIndex] = updateTime;
+        this.samples.render[this.sampleIndex] = renderTime;
+        this.sampleIndex = (this.sampleIndex + 1) % this.sampleCount;
+    }
+
+    /**
+     * Draw the overlay
+     * @param {Object} debugData Statistics collected by Game.getDebugData()
+     * @param {number} currentTime Current timestamp, used to throttle the text panel
+     */
+    render(debugData, currentTime) {
+        if (!this.isEnabled()) return;
+
+        this.context.save();
+
+        if (this.mode === 'shapes') {
+            this.renderGridCells(debugData.physics);
+            this.renderCollisionCircles(debugData.entities);
+            this.renderCollisionOutlines(debugData.entities);
+        }
+
+        if (currentTime - this.lastPanelRefresh >= this.panelRefreshInterval) {
+            this.panelLines = this.buildPanel(debugData);
+            this.lastPanelRefresh = currentTime;
+        }
+        this.renderPanel();
+        this.renderGraph();
+
+        this.context.restore();
+    }
+
+    /**
+     * Build the text panel
+     * @param {Object} debugData Collected statistics
+     * @returns {Array<string>} Panel lines
+     */
+    buildPanel(debugData) {
+        const { performance, entityCounts, pools, physics, simulation } = debugData;
+
+        return [
+            `FPS ${performance.fps.toFixed(0)}  ticks/frame ${performance.ticksThisFrame}`,
+            `frame ${performance.frameTime.toFixed(1)}ms  update ${performance.updateTime.toFixed(2)}ms  render ${performance.renderTime.toFixed(2)}ms`,
+            `tick ${simulation.tick} @ ${simulation.tickRate}Hz  seed ${simulation.seed}`,
+            `asteroids ${entityCounts.asteroids}  projectiles ${entityCounts.projectiles}  particles ${entityCounts.particles}`,
+            `pooled ${entityCounts.pooled.projectiles}p/${entityCounts.pooled.particles}fx  hits ${pools.poolHits}  misses ${pools.poolMisses}`,
+            `created ${pools.entitiesCreated}  destroyed ${pools.entitiesDestroyed}`,
+            `collision checks ${physics.collisionChecks}  hits ${physics.actualCollisions}  grid ${physics.useSpatialGrid ? `${physics.grid.length} cells` : 'off'}`
+        ];
+    }
+
+    /**
+     * Draw the cached text panel in the top-left corner
+     */
+    renderPanel() {
+        const lineHeight = 14;
+        const x = 10;
+        const y = this.panelTop;
+
+        this.context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.context.fillRect(x - 4, y - 4, 420, this.panelLines.length * lineHeight + 8);
+
+        this.context.font = '12px "Courier New", monospace';
+        this.context.textAlign = 'left';
+        this.context.textBaseline = 'top';
+        this.context.fillStyle = '#CCCCCC';
+        this.panelLines.forEach((line, i) => {
+            this.context.fillText(line, x, y + i * lineHeight);
+        });
+    }
+
+    /**
+     * Draw frame, update and render time history below the panel
+     */
+    renderGraph() {
+        const x = 6;
+        const y = this.panelTop + this.panelLines.length * 14 + 10;
+        const bottom = y + this.graphHeight;
+
+        this.context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.context.fillRect(x, y, this.graphWidth, this.graphHeight);
+
+        // 60 FPS and 30 FPS budget lines
+        this.context.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        this.context.lineWidth = 1;
+        this.context.beginPath();
+        for (const budget of [1000 / 60, 1000 / 30]) {
+            const budgetY = bottom - budget * this.graphScale;
+            if (budgetY > y) {
+                this.context.moveTo(x, budgetY);
+                this.context.lineTo(x + this.graphWidth, budgetY);
+            }
+        }
+        this.context.stroke();
+
+        // One path per series, oldest sample on the left
+        for (const [series, values] of Object.entries(this.samples)) {
+            this.context.strokeStyle = this.seriesColors[series];
+            this.context.beginPath();
+            for (let i = 0; i < this.sampleCount; i++) {
+                const value = values[(this.sampleIndex + i) % this.sampleCount];
+                const pointX = x + i * (this.graphWidth / this.sampleCount);
+                const pointY = Math.max(y, bottom - value * this.graphScale);
+                if (i === 0) {
+                    this.context.moveTo(pointX, pointY);
+                } else {
+                    this.context.lineTo(pointX, pointY);
+                }
+            }
+            this.context.stroke();
+        }
+    }
+
+    /**
+     * Outline every entity's collision circle at its simulated (not interpolated) position
+     * @param {Array} entities Active entities
+     */
+    renderCollisionCircles(entities) {
+        this.context.strokeStyle = 'rgba(255, 64, 64, 0.8)';
+        this.context.lineWidth = 1;
+        this.context.beginPath();
+        for (const entity of entities) {
+            if (!entity.isActive || !entity.getBounds) continue;
+
+            const bounds = entity.getBounds();
+            this.context.moveTo(bounds.x + bounds.radius, bounds.y);
+            this.context.arc(bounds.x, bounds.y, bounds.radius, 0, Math.PI * 2);
+        }
+        this.context.stroke();
+    }
+
+    /**
+     * Outline the polygons used by the narrow phase
+     * @param {Array} entities Active entities
+     */
+    renderCollisionOutlines(entities) {
+        this.context.strokeStyle = 'rgba(255, 255, 0, 0.8)';
+        this.context.lineWidth = 1;
+        this.context.beginPath();
+        for (const entity of entities) {
+            if (entity.isActive === false || !entity.getCollisionOutline) continue;
+
+            const outline = Polygon.transform(entity.getCollisionOutline(), entity.rotation || 0, entity.position);
+            if (outline.length === 0) continue;
+            this.context.moveTo(outline[0].x, outline[0].y);
+            for (let i = 1; i < outline.length; i++) {
+                this.context.lineTo(outline[i].x, outline[i].y);
+            }
+            this.context.closePath();
+        }
+        this.context.stroke();
+    }
+
+    /**
+     * Shade the spatial-grid cells occupied during the last collision pass
+     * @param {Object} physics Physics statistics with the grid and cell size
+     */
+    renderGridCells(physics) {
+        const { grid, gridSize } = physics;
+        if (!grid || grid.length === 0) return;
+
+        const { cellWidth, cellHeight } = gridSize;
+
+        this.context.font = '10px "Courier New", monospace';
+        this.context.textAlign = 'left';
+        this.context.textBaseline = 'top';
+
+        for (const { gridX, gridY, count } of grid) {
+            const cellX = gridX * cellWidth;
+            const cellY = gridY * cellHeight;
+
+            this.context.fillStyle = `rgba(0, 136, 255, ${Math.min(0.4, 0.08 * count)})`;
+            this.context.fillRect(cellX, cellY, cellWidth, cellHeight);
+            this.context.strokeStyle = 'rgba(0, 136, 255, 0.5)';
+            this.context.strokeRect(cellX, cellY, cellWidth, cellHeight);
+            this.context.fillStyle = '#0088FF';
+            this.context.fillText(String(count), cellX + 3, cellY + 3);
+        }
+    }
+}
@@ -0,0 +1,277 @@
+import { CollisionBenchmark } from '../services/CollisionBenchmark.js';
+
+/**
+ * DevConsole - In-game command console for QA and level design
+ * Opens over the game with its own keyboard focus: while open the simulation is frozen
+ * and keystrokes go to the console instead of the ship
+ */
+export class DevConsole {
+    /**
+     * @param {HTMLElement} container Element to attach the console to
+     * @param {Game} game Game to run commands against
+     * @param {Object} options Optional callbacks: onToggle(isOpen)
+     */
+    constructor(container, game, options = {}) {
+        this.game = game;
+        this.onToggle = options.onToggle || (() => {});
+        this.isOpen = false;
+
+        // Command history for arrow-key recall
+        this.history = [];
+        this.historyIndex = 0;
+        this.maxLogLines = 100;
+
+        this.commands = this.createCommands();
+        this.createElements(container);
+    }
+
+    /**
+     * Build the console DOM
+     * @param {HTMLElement} container Element to attach to
+     */
+    createElements(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'dev-console hidden';
+
+        this.log = document.createElement('div');
+        this.log.className = 'dev-console-log';
+
+        this.input = document.createElement('input');
+        this.input.className = 'dev-console-input';
+        this.input.type = 'text';
+        this.input.spellcheck = false;
+        this.input.autocomplete = 'off';
+        this.input.placeholder = 'Type "help" for commands';
+
+        this.element.append(this.log, this.input);
+        container.appendChild(this.element);
+
+        // Keep keystrokes away from the game and the global shortcuts
+        this.input.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            this.handleKeyDown(event);
+        });
+        this.input.addEventListener('keyup', (event) => event.stopPropagation());
+    }
+
+    /**
+     * Define the available commands
+     * @returns {Object} Command name -> { usage, description, run(args) }
+     */
+    createCommands() {
+        const simulation = this.game.simulation;
+
+        return {
+            help: {
+                usage: 'help',
+                description: 'List commands',
+                run: () => ({
+                    success: true,
+                    message: Object.values(this.commands)
+                        .map(command => `${command.usage.padEnd(36)} ${command.description}`)
+                        .join('\n')
+                })
+            },
+            spawn: {
+                usage: 'spawn <type> [kind] [x y]',
+                description: 'Spawn an asteroid (large, medium, small), a well (planet, blackHole) or a saucer (large, small; flies in from the left) or a power-up (spreadShot, rapidFire, shield, piercing, scoreMultiplier, extraLife)',
+                run: ([type, kind, x, y]) => {
+                    const position = [this.parseOptionalNumber(x), this.parseOptionalNumber(y)];
+                    switch (type) {
+                        case 'asteroid':
+                            return simulation.spawnAsteroid(kind, ...position);
+                        case 'well':
+                            return simulation.spawnGravityWell(kind, ...position);
+                        case 'saucer':
+                            return simulation.spawnSaucer(kind);
+                        case 'powerup':
+                            return simulation.spawnPowerUp(kind, ...position);
+                        default:
+                            return { success: false, reason: `Can't spawn "${type}"` };
+                    }
+                }
+            },
+            teleport: {
+                usage: 'teleport x y',
+                description: 'Move the ship and stop it',
+                run: ([x, y]) => simulation.teleportShip(Number(x), Number(y))
+            },
+            level: {
+                usage: 'level n',
+                description: 'Jump to a level',
+                run: ([level]) => simulation.setLevel(Number(level))
+            },
+            lives: {
+                usage: 'lives n',
+                description: 'Set lives remaining',
+                run: ([lives]) => simulation.setLives(Number(lives))
+            },
+            god: {
+                usage: 'god [on|off]',
+                description: 'Toggle ship invulnerability',
+                run: ([state]) => simulation.setGodMode(state === undefined ? undefined : state === 'on')
+            },
+            timescale: {
+                usage: 'timescale s',
+                description: 'Simulation speed (0.25 = quarter speed)',
+                run: ([scale]) => this.game.setTimeScale(Number(scale))
+            },
+            seed: {
+                usage: 'seed n',
+                description: 'Restart the game with a seed',
+                run: ([seed]) => {
+                    const value = Number(seed);
+                    if (!Number.isInteger(value) || value < 0) {
+                        return { success: false, reason: 'Seed must be a whole number' };
+                    }
+                    this.game.startNewGame(simulation.selectedDifficulty, simulation.selectedShipColor, value);
+                    return { success: true, message: `New game with seed ${value}` };
+                }
+            },
+            clear: {
+                usage: 'clear',
+                description: 'Remove every asteroid',
+                run: () => simulation.clearAsteroids()
+            },
+            bench: {
+                usage: 'bench [entities] [ticks]',
+                description: 'Time full game ticks with the play area packed with asteroids (blocks while it runs)',
+                run: ([entities, ticks]) => new CollisionBenchmark({
+                    entityCount: this.parseOptionalNumber(entities),
+                    ticks: this.parseOptionalNumber(ticks) ?? 120
+                }).run()
+            }
+        };
+    }
+
+    /**
+     * Handle keys typed into the console
+     * @param {KeyboardEvent} event Keyboard event
+     */
+    handleKeyDown(event) {
+        switch (event.code) {
+            case 'Enter':
+                this.submit();
+                break;
+            case 'Escape':
+            case 'Backquote':
+                event.preventDefault();
+                this.close();
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.recallHistory(-1);
+                break;
+            case 'ArrowDown':
+                event.preventDefault();
+                this.recallHistory(1);
+                break;
+        }
+    }
+
+    /**
+     * Run the command in the input field
+     */
+    submit() {
+        const line = this.input.value.trim();
+        this.input.value = '';
+        if (!line) return;
+
+        this.history.push(line);
+        this.historyIndex = this.history.length;
+
+        this.print(`> ${line}`);
+        const result = this.execute(line);
+        this.print(result.success ? result.message || 'OK' : result.reason, !result.success);
+    }
+
+    /**
+     * Execute a command line
+     * @param {string} line Command and arguments separated by spaces
+     * @returns {Object} Command result
+     */
+    execute(line) {
+        const [name, ...args] = line.trim().split(/\s+/);
+        const command = this.commands[name.toLowerCase()];
+        if (!command) {
+            return { success: false, reason: `Unknown command: ${name}` };
+        }
+
+        try {
+            return command.run(args);
+        } catch (error) {
+            console.warn('Console command failed:', line, error);
+            return { success: false, reason: error.message };
+        }
+    }
+
+    /**
+     * Step through previously entered commands
+     * @param {number} direction -1 for older, 1 for newer
+     */
+    recallHistory(direction) {
+        this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + direction));
+        this.input.value = this.history[this.historyIndex] || '';
+    }
+
+    /**
+     * Append a line to the console log
+     * @param {string} text Text to show
+     * @param {boolean} isError Highlight as an error
+     */
+    print(text, isError = false) {
+        const line = document.createElement('div');
+        line.className = isError ? 'dev-console-line error' : 'dev-console-line';
+        line.textContent = text;
+        this.log.appendChild(line);
+
+        while (this.log.childElementCount > this.maxLogLines) {
+            this.log.firstElementChild.remove();
+        }
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+
+    /**
+     * Parse an optional numeric argument
+     * @param {string|undefined} value Argument text
+     * @returns {number|undefined} Number, or undefined when omitted
+     */
+    parseOptionalNumber(value) {
+        return value === undefined ? undefined : Number(value);
+    }
+
+    /**
+     * Open or close the console
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the console and take keyboard focus
+     */
+    open() {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+        this.input.focus();
+        this.onToggle(true);
+    }
+
+    /**
+     * Hide the console and hand the keyboard back to the game
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+        this.input.blur();
+        this.onToggle(false);
+    }
+}
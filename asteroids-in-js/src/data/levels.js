@@ -0,0 +1,40 @@
+/**
+ * Hand-placed hazards per level
+ * Positions are fractions of the screen size so layouts work at any resolution; keep the
+ * center clear, it's where the ship spawns. A well can carry an asteroid belt in circular
+ * orbit around it: count rocks of one size at a distance in pixels.
+ * Levels without an entry have no hazards
+ */
+export const LEVEL_LAYOUTS = {
+    3: {
+        gravityWells: [
+            { kind: 'planet', x: 0.2, y: 0.25 }
+        ]
+    },
+    5: {
+        gravityWells: [
+            { kind: 'blackHole', x: 0.78, y: 0.7, belt: { count: 5, distance: 120, size: 'small' } }
+        ]
+    },
+    7: {
+        gravityWells: [
+            { kind: 'planet', x: 0.2, y: 0.75, belt: { count: 4, distance: 100, size: 'medium' } },
+            { kind: 'blackHole', x: 0.8, y: 0.25 }
+        ]
+    },
+    9: {
+        gravityWells: [
+            { kind: 'blackHole', x: 0.25, y: 0.3, belt: { count: 6, distance: 130, size: 'small' } },
+            { kind: 'blackHole', x: 0.75, y: 0.7, belt: { count: 6, distance: 130, size: 'small' } }
+        ]
+    }
+};
+
+/**
+ * Get the hazard layout for a level
+ * @param {number} level Level number
+ * @returns {Object} Layout with a gravityWells array (empty when the level has none)
+ */
+export function getLevelLayout(level) {
+    return LEVEL_LAYOUTS[level] || { gravityWells: [] };
+}
@@ -0,0 +1,88 @@
+/**
+ * Power-up kinds
+ * appliesTo: 'ship' effects are timed on the ship, 'game' effects are handled by GameState
+ * duration: milliseconds the effect lasts once collected (0 = instant)
+ * symbol: letter drawn on the pickup; label: name shown in the HUD
+ */
+export const POWER_UPS = {
+    spreadShot: {
+        appliesTo: 'ship',
+        duration: 10000,
+        symbol: 'S',
+        label: 'SPREAD',
+        color: '#FFDD33',
+        count: 3, // Projectiles per shot
+        spread: 0.35 // Radians between the outer projectiles
+    },
+    rapidFire: {
+        appliesTo: 'ship',
+        duration: 10000,
+        symbol: 'R',
+        label: 'RAPID',
+        color: '#FF8833',
+        fireRateMultiplier: 0.5
+    },
+    shield: {
+        appliesTo: 'ship',
+        duration: 8000,
+        symbol: 'D',
+        label: 'SHIELD',
+        color: '#33CCFF'
+    },
+    piercing: {
+        appliesTo: 'ship',
+        duration: 10000,
+        symbol: 'P',
+        label: 'PIERCE',
+        color: '#66FFCC',
+        pierce: 2 // Extra targets each shot passes through
+    },
+    scoreMultiplier: {
+        appliesTo: 'game',
+        duration: 15000,
+        symbol: '2',
+        label: 'x2 SCORE',
+        color: '#AAFF33',
+        multiplier: 2
+    },
+    extraLife: {
+        appliesTo: 'game',
+        duration: 0,
+        symbol: '+',
+        label: 'EXTRA LIFE',
+        color: '#FF3366'
+    }
+};
+
+/**
+ * What destroyed asteroids drop, per difficulty
+ * chance: probability that an asteroid of each size leaves a pickup
+ * lifespan: milliseconds a pickup floats before it vanishes
+ * weights: relative odds of each kind
+ */
+export const DROP_TABLES = {
+    easy: {
+        chance: { large: 0.2, medium: 0.12, small: 0.06 },
+        lifespan: 12000,
+        weights: { spreadShot: 3, rapidFire: 3, shield: 3, piercing: 2, scoreMultiplier: 2, extraLife: 1 }
+    },
+    medium: {
+        chance: { large: 0.15, medium: 0.08, small: 0.04 },
+        lifespan: 10000,
+        weights: { spreadShot: 3, rapidFire: 3, shield: 2, piercing: 2, scoreMultiplier: 2, extraLife: 0.5 }
+    },
+    hard: {
+        chance: { large: 0.1, medium: 0.05, small: 0.02 },
+        lifespan: 8000,
+        weights: { spreadShot: 3, rapidFire: 3, shield: 1, piercing: 2, scoreMultiplier: 3, extraLife: 0.25 }
+    }
+};
+
+/**
+ * Get the drop table for a difficulty
+ * @param {string} difficulty Difficulty level
+ * @returns {Object} Drop table (medium's when the difficulty is unknown)
+ */
+export function getDropTable(difficulty) {
+    return DROP_TABLES[difficulty] || DROP_TABLES.medium;
+}
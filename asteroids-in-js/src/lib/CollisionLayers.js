@@ -0,0 +1,31 @@
+/**
+ * Collision layer bits
+ * Each entity declares the layer it is on (collisionLayer) and the layers it interacts
+ * with (collisionMask); a pair is only tested when each is in the other's mask
+ */
+export const CollisionLayers = Object.freeze({
+    none: 0,
+    ship: 1 << 0,
+    asteroid: 1 << 1,
+    projectile: 1 << 2,
+    hazard: 1 << 3,
+    enemy: 1 << 4,
+    pickup: 1 << 5,
+    all: 0xFFFFFFFF
+});
+
+/**
+ * Check if two entities can ever collide
+ * Entities that declare no layer or mask interact with everything
+ * @param {Object} entityA First entity
+ * @param {Object} entityB Second entity
+ * @returns {boolean} True if the pair should be tested
+ */
+export function canCollide(entityA, entityB) {
+    const layerA = entityA.collisionLayer ?? CollisionLayers.all;
+    const layerB = entityB.collisionLayer ?? CollisionLayers.all;
+    const maskA = entityA.collisionMask ?? CollisionLayers.all;
+    const maskB = entityB.collisionMask ?? CollisionLayers.all;
+
+    return (layerA & maskB) !== 0 && (layerB & maskA) !== 0;
+}
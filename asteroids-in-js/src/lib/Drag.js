@@ -0,0 +1,64 @@
+/**
+ * Tick rate the original per-frame drag values were tuned at
+ */
+const REFERENCE_TICK_RATE = 60;
+
+/**
+ * Drag - Frame-rate independent velocity decay
+ * A drag coefficient is the fraction of velocity kept after one second. It is applied
+ * exponentially over deltaTime, so the same coefficient slows things down identically
+ * at any tick rate
+ */
+export class Drag {
+    /**
+     * Convert a per-tick decay factor into a per-second drag coefficient
+     * @param {number} factor Velocity kept per tick (0-1)
+     * @param {number} tickRate Ticks per second the factor was tuned at
+     * @returns {number} Velocity kept per second
+     */
+    static fromPerTick(factor, tickRate = REFERENCE_TICK_RATE) {
+        return Math.pow(factor, tickRate);
+    }
+
+    /**
+     * Get the velocity multiplier for a time step
+     * @param {number} dragPerSecond Velocity kept per second (0-1)
+     * @param {number} deltaTime Time step (milliseconds)
+     * @returns {number} Multiplier for this step
+     */
+    static getFactor(dragPerSecond, deltaTime) {
+        return Math.pow(dragPerSecond, deltaTime / 1000);
+    }
+
+    /**
+     * Slow a velocity down over a time step
+     * @param {Vector2D} velocity Velocity to decay (modified in place)
+     * @param {number} dragPerSecond Velocity kept per second (0-1)
+     * @param {number} deltaTime Time step (milliseconds)
+     * @returns {Vector2D} The velocity
+     */
+    static apply(velocity, dragPerSecond, deltaTime) {
+        return velocity.multiply(Drag.getFactor(dragPerSecond, deltaTime));
+    }
+
+    /**
+     * Move a position and decay its velocity over a time step
+     * The distance covered is integrated exactly (velocity times the integral of
+     * dragPerSecond^t), so coasting paths are the same at every tick rate, not just the speeds
+     * @param {Vector2D} position Position to advance (modified in place)
+     * @param {Vector2D} velocity Velocity in pixels/second (modified in place)
+     * @param {number} dragPerSecond Velocity kept per second (0-1)
+     * @param {number} deltaTime Time step (milliseconds)
+     */
+    static integrate(position, velocity, dragPerSecond, deltaTime) {
+        const deltaSeconds = deltaTime / 1000;
+        const factor = Drag.getFactor(dragPerSecond, deltaTime);
+        const logDrag = Math.log(dragPerSecond);
+
+        // Effective seconds of full-speed travel; plain deltaSeconds when there is no drag
+        const travelSeconds = logDrag < 0 ? (factor - 1) / logDrag : deltaSeconds;
+
+        position.add(velocity.clone().multiply(travelSeconds));
+        velocity.multiply(factor);
+    }
+}
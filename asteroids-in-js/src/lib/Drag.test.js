@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Drag } from './Drag.js';
+import { Vector2D } from './Vector2D.js';
+import { Ship } from '../models/Ship.js';
+import { Particle } from '../models/Particle.js';
+
+/**
+ * Drag tests - the same simulated time gives the same trajectory at any tick rate
+ * Run with: node --test src/lib/
+ */
+
+const TICK_RATES = [30, 60, 120];
+
+/**
+ * Assert two vectors are within a distance of each other
+ * @param {Vector2D} actual Measured vector
+ * @param {Vector2D} expected Reference vector
+ * @param {number} tolerance Largest allowed distance
+ * @param {string} label What is being compared
+ */
+function assertClose(actual, expected, tolerance, label) {
+    const distance = actual.clone().subtract(expected).magnitude();
+    assert.ok(distance <= tolerance, `${label} off by ${distance} (tolerance ${tolerance})`);
+}
+
+/**
+ * Thrust a ship for a second, then let it coast for a second
+ * @param {number} tickRate Ticks per second
+ * @returns {Ship} Ship after two simulated seconds
+ */
+function flyShip(tickRate) {
+    const deltaTime = 1000 / tickRate;
+    const ship = new Ship({
+        position: { x: 100, y: 100 },
+        rotation: 0.3,
+        screenWidth: 100000, // Large enough that the ship never wraps
+        screenHeight: 100000
+    });
+
+    ship.thrust();
+    for (let tick = 0; tick < tickRate; tick++) {
+        ship.update(deltaTime);
+    }
+
+    ship.stopThrust();
+    for (let tick = 0; tick < tickRate; tick++) {
+        ship.update(deltaTime);
+    }
+
+    return ship;
+}
+
+/**
+ * Let a particle coast for a simulated second and a half
+ * @param {number} tickRate Ticks per second
+ * @returns {Particle} Particle after the flight
+ */
+function flyParticle(tickRate) {
+    const deltaTime = 1000 / tickRate;
+    const particle = new Particle({
+        position: new Vector2D(0, 0),
+        velocity: new Vector2D(200, -50),
+        lifespan: 5000
+    });
+
+    for (let tick = 0; tick < tickRate * 1.5; tick++) {
+        particle.update(deltaTime);
+    }
+
+    return particle;
+}
+
+test('a thrusting ship follows the same path at 30, 60 and 120 Hz', () => {
+    const reference = flyShip(60);
+    assert.ok(reference.position.clone().subtract(new Vector2D(100, 100)).magnitude() > 100, 'ship barely moved');
+
+    // Thrust is added once per tick, so it differs slightly; drag and coasting are exact
+    for (const tickRate of TICK_RATES) {
+        const ship = flyShip(tickRate);
+        assertClose(ship.position, reference.position, 1, `ship position at ${tickRate} Hz`);
+        assertClose(ship.velocity, reference.velocity, 1, `ship velocity at ${tickRate} Hz`);
+    }
+});
+
+test('a coasting particle follows the same path at 30, 60 and 120 Hz', () => {
+    const reference = flyParticle(60);
+    assert.ok(reference.isActive, 'particle expired before the end of the flight');
+
+    for (const tickRate of TICK_RATES) {
+        const particle = flyParticle(tickRate);
+        assertClose(particle.position, reference.position, 1e-6, `particle position at ${tickRate} Hz`);
+        assertClose(particle.velocity, reference.velocity, 1e-6, `particle velocity at ${tickRate} Hz`);
+    }
+});
+
+test('Drag.integrate and Drag.apply decay velocity identically at every tick rate', () => {
+    const dragPerSecond = Drag.fromPerTick(0.95);
+    const results = TICK_RATES.map(tickRate => {
+        const deltaTime = 1000 / tickRate;
+        const position = new Vector2D(0, 0);
+        const integrated = new Vector2D(300, 120);
+        const applied = new Vector2D(300, 120);
+
+        for (let tick = 0; tick < tickRate; tick++) {
+            Drag.integrate(position, integrated, dragPerSecond, deltaTime);
+            Drag.apply(applied, dragPerSecond, deltaTime);
+        }
+
+        assertClose(integrated, applied, 1e-9, `integrate vs apply at ${tickRate} Hz`);
+        return { position, velocity: integrated };
+    });
+
+    // One second at 0.95 per 60 Hz tick keeps 0.95^60 of the speed
+    const expectedSpeed = new Vector2D(300, 120).magnitude() * Math.pow(0.95, 60);
+    for (const [index, { position, velocity }] of results.entries()) {
+        assert.ok(Math.abs(velocity.magnitude() - expectedSpeed) < 1e-9, `speed at ${TICK_RATES[index]} Hz`);
+        assertClose(position, results[0].position, 1e-6, `position at ${TICK_RATES[index]} Hz`);
+    }
+});
@@ -0,0 +1,415 @@
+import { Vector2D } from './Vector2D.js';
+
+/**
+ * Polygon - Geometry helpers for polygon collision shapes
+ * Outlines are arrays of vertices in order around a center they are star-shaped about
+ * (asteroid outlines and the ship hull both are), which lets them be split into a fan
+ * of convex triangles for the separating axis test
+ */
+export class Polygon {
+    /**
+     * Place a model-space outline in the world
+     * @param {Array<Vector2D>} vertices Outline relative to the shape's center
+     * @param {number} rotation Rotation in radians
+     * @param {Object} center World position of the center
+     * @returns {Array<Vector2D>} New world-space vertices
+     */
+    static transform(vertices, rotation, center) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        return vertices.map(vertex => new Vector2D(
+            center.x + vertex.x * cos - vertex.y * sin,
+            center.y + vertex.x * sin + vertex.y * cos
+        ));
+    }
+
+    /**
+     * Distance from the center to the furthest vertex
+     * @param {Array<Vector2D>} vertices Outline relative to the shape's center
+     * @returns {number} Radius of the circle enclosing the outline
+     */
+    static getBoundingRadius(vertices) {
+        let maxSquared = 0;
+        for (const vertex of vertices) {
+            maxSquared = Math.max(maxSquared, vertex.x * vertex.x + vertex.y * vertex.y);
+        }
+        return Math.sqrt(maxSquared);
+    }
+
+    /**
+     * Split an outline into triangles sharing its center
+     * @param {Array<Vector2D>} vertices World-space outline
+     * @param {Object} center World position the outline is star-shaped about
+     * @returns {Array<Array<Vector2D>>} Convex triangles
+     */
+    static triangulateFan(vertices, center) {
+        const hub = new Vector2D(center.x, center.y);
+        return vertices.map((vertex, i) => [hub, vertex, vertices[(i + 1) % vertices.length]]);
+    }
+
+    /**
+     * Even-odd point-in-polygon test (works for concave outlines)
+     * @param {Object} point Point with x and y
+     * @param {Array<Vector2D>} vertices Outline
+     * @returns {boolean} True if the point is inside
+     */
+    static containsPoint(point, vertices) {
+        let inside = false;
+
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const a = vertices[i];
+            const b = vertices[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Closest point to a point on a line segment
+     * @param {Object} point Point with x and y
+     * @param {Vector2D} start Segment start
+     * @param {Vector2D} end Segment end
+     * @returns {Vector2D} Closest point on the segment
+     */
+    static closestPointOnSegment(point, start, end) {
+        const edge = Vector2D.direction(start, end);
+        const lengthSquared = edge.magnitudeSquared();
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, Vector2D.direction(start, point).dot(edge) / lengthSquared))
+            : 0;
+
+        return start.clone().add(edge.multiply(t));
+    }
+
+    /**
+     * Closest point to a point on an outline's edges
+     * @param {Object} point Point with x and y
+     * @param {Array<Vector2D>} vertices Outline
+     * @returns {Vector2D} Closest point on the outline
+     */
+    static closestPointOnOutline(point, vertices) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        for (let i = 0; i < vertices.length; i++) {
+            const candidate = Polygon.closestPointOnSegment(point, vertices[i], vertices[(i + 1) % vertices.length]);
+            const distance = candidate.distanceToSquared(point);
+            if (distance < closestDistance) {
+                closest = candidate;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Circle against outline
+     * @param {Object} center Circle center
+     * @param {number} radius Circle radius
+     * @param {Array<Vector2D>} vertices Outline
+     * @returns {Object|null} { point, normal, depth } with the normal pointing from the polygon
+     *                        towards the circle, or null if they don't touch
+     */
+    static collideCircle(center, radius, vertices) {
+        const point = Polygon.closestPointOnOutline(center, vertices);
+        const offset = Vector2D.direction(point, center);
+        const distance = offset.magnitude();
+        const inside = Polygon.containsPoint(center, vertices);
+
+        if (!inside && distance >= radius) return null;
+
+        // From inside, the way out is towards the nearest edge
+        const normal = inside ? offset.multiply(-1).normalize() : offset.normalize();
+        const depth = inside ? radius + distance : radius - distance;
+
+        return { point, normal, depth };
+    }
+
+    /**
+     * Separating axis test between two convex polygons
+     * @param {Array<Vector2D>} a First convex polygon
+     * @param {Array<Vector2D>} b Second convex polygon
+     * @returns {Object|null} { normal, depth } with the normal pointing from a to b, or null if separated
+     */
+    static satConvex(a, b) {
+        let bestDepth = Infinity;
+        let bestAxis = null;
+
+        for (const polygon of [a, b]) {
+            for (let i = 0; i < polygon.length; i++) {
+                const edge = Vector2D.direction(polygon[i], polygon[(i + 1) % polygon.length]);
+                const axis = new Vector2D(-edge.y, edge.x).normalize();
+                if (axis.x === 0 && axis.y === 0) continue;
+
+                const rangeA = Polygon.project(a, axis);
+                const rangeB = Polygon.project(b, axis);
+                const depth = Math.min(rangeA.max - rangeB.min, rangeB.max - rangeA.min);
+                if (depth <= 0) return null;
+
+                if (depth < bestDepth) {
+                    bestDepth = depth;
+                    bestAxis = axis;
+                }
+            }
+        }
+
+        // Orient the axis from a towards b
+        const direction = Vector2D.direction(Polygon.centroid(a), Polygon.centroid(b));
+        if (direction.dot(bestAxis) < 0) {
+            bestAxis.multiply(-1);
+        }
+
+        return { normal: bestAxis, depth: bestDepth };
+    }
+
+    /**
+     * Axis-aligned box around a polygon
+     * @param {Array<Vector2D>} vertices Polygon
+     * @returns {Object} { minX, minY, maxX, maxY }
+     */
+    static getBoundingBox(vertices) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const vertex of vertices) {
+            minX = Math.min(minX, vertex.x);
+            minY = Math.min(minY, vertex.y);
+            maxX = Math.max(maxX, vertex.x);
+            maxY = Math.max(maxY, vertex.y);
+        }
+        return { minX, minY, maxX, maxY };
+    }
+
+    /**
+     * Project a polygon onto an axis
+     * @param {Array<Vector2D>} vertices Polygon
+     * @param {Vector2D} axis Unit axis
+     * @returns {Object} { min, max } along the axis
+     */
+    static project(vertices, axis) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const vertex of vertices) {
+            const value = vertex.dot(axis);
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+        return { min, max };
+    }
+
+    /**
+     * Average of a polygon's vertices
+     * @param {Array<Vector2D>} vertices Polygon
+     * @returns {Vector2D} Vertex centroid
+     */
+    static centroid(vertices) {
+        const sum = new Vector2D(0, 0);
+        for (const vertex of vertices) {
+            sum.add(vertex);
+        }
+        return sum.divide(vertices.length);
+    }
+
+    /**
+     * Signed area of an outline (positive when the vertices turn from +x towards +y)
+     * @param {Array<Vector2D>} vertices Outline
+     * @returns {number} Signed area in px²
+     */
+    static signedArea(vertices) {
+        let doubled = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            doubled += vertices[i].cross(vertices[(i + 1) % vertices.length]);
+        }
+        return doubled / 2;
+    }
+
+    /**
+     * Center of mass of the area an outline encloses
+     * @param {Array<Vector2D>} vertices Outline
+     * @returns {Vector2D} Area centroid (the vertex average for degenerate outlines)
+     */
+    static areaCentroid(vertices) {
+        const area = Polygon.signedArea(vertices);
+        if (Math.abs(area) < 1e-9) return Polygon.centroid(vertices);
+
+        const sum = new Vector2D(0, 0);
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            const cross = current.cross(next);
+            sum.x += (current.x + next.x) * cross;
+            sum.y += (current.y + next.y) * cross;
+        }
+        return sum.divide(6 * area);
+    }
+
+    /**
+     * Cut away the part of an outline behind a line (Sutherland-Hodgman, one edge)
+     * Concave outlines cut into several lobes come back as one outline joined along the line
+     * @param {Array<Vector2D>} vertices Outline
+     * @param {Object} point Point on the cutting line
+     * @param {Object} normal Direction pointing into the half kept
+     * @returns {Array<Vector2D>} Outline of the part in front of the line (may be empty)
+     */
+    static clip(vertices, point, normal) {
+        const clipped = [];
+        const side = vertex => (vertex.x - point.x) * normal.x + (vertex.y - point.y) * normal.y;
+
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            const currentSide = side(current);
+            const nextSide = side(next);
+
+            if (currentSide >= 0) {
+                clipped.push(current.clone());
+            }
+            if ((currentSide >= 0) !== (nextSide >= 0)) {
+                const t = currentSide / (currentSide - nextSide);
+                clipped.push(current.clone().lerp(next, t));
+            }
+        }
+
+        // Drop the zero-length edges cutting leaves behind
+        return clipped.filter((vertex, i) =>
+            vertex.distanceToSquared(clipped[(i + 1) % clipped.length]) > 1e-6);
+    }
+
+    /**
+     * Check that every vertex can be seen from a center, so the outline fans into triangles
+     * @param {Array<Vector2D>} vertices Outline (positive winding)
+     * @param {Object} center Candidate center
+     * @returns {boolean} True if the outline is star-shaped about the center
+     */
+    static isStarShaped(vertices, center) {
+        for (let i = 0; i < vertices.length; i++) {
+            const a = Vector2D.direction(center, vertices[i]);
+            const b = Vector2D.direction(center, vertices[(i + 1) % vertices.length]);
+            if (a.cross(b) <= 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Smallest convex outline around a set of points (monotone chain)
+     * @param {Array<Vector2D>} points Points
+     * @returns {Array<Vector2D>} Hull with positive winding
+     */
+    static convexHull(points) {
+        const sorted = points.map(point => point.clone()).sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted;
+
+        const turn = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const buildChain = ordered => {
+            const chain = [];
+            for (const point of ordered) {
+                while (chain.length >= 2 && turn(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+                    chain.pop();
+                }
+                chain.push(point);
+            }
+            chain.pop();
+            return chain;
+        };
+
+        return [...buildChain(sorted), ...buildChain([...sorted].reverse())];
+    }
+
+    /**
+     * Vertex of a polygon furthest along a direction
+     * @param {Array<Vector2D>} vertices Polygon
+     * @param {Vector2D} direction Direction to search
+     * @returns {Vector2D} Support vertex
+     */
+    static support(vertices, direction) {
+        let best = vertices[0];
+        let bestValue = -Infinity;
+        for (const vertex of vertices) {
+            const value = vertex.dot(direction);
+            if (value > bestValue) {
+                best = vertex;
+                bestValue = value;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Earliest time a moving circle touches an outline
+     * Each edge is treated as a capsule of the circle's radius: the path is tested
+     * against the edge pushed outwards and against circles around its end points
+     * @param {Vector2D} start Circle center at t = 0
+     * @param {Vector2D} end Circle center at t = 1
+     * @param {number} radius Circle radius
+     * @param {Array<Vector2D>} vertices Outline
+     * @param {Object} center Point the outline is star-shaped about (to orient edge normals)
+     * @returns {number|null} Time of impact in [0, 1], or null if the circle never touches
+     */
+    static sweepCircle(start, end, radius, vertices, center) {
+        if (Polygon.collideCircle(start, radius, vertices)) return 0;
+
+        const motion = Vector2D.direction(start, end);
+        let earliest = null;
+        const consider = (t) => {
+            if (t !== null && t >= 0 && t <= 1 && (earliest === null || t < earliest)) {
+                earliest = t;
+            }
+        };
+
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const edge = Vector2D.direction(a, b);
+            const length = edge.magnitude();
+            if (length === 0) continue;
+
+            // Outward edge normal
+            const normal = new Vector2D(-edge.y, edge.x).divide(length);
+            if (normal.dot(Vector2D.direction(center, a)) < 0) {
+                normal.multiply(-1);
+            }
+
+            // Face: the path crosses the edge line shifted out by the radius
+            const approach = motion.dot(normal);
+            if (approach < 0) {
+                const t = (radius - Vector2D.direction(a, start).dot(normal)) / approach;
+                const along = Vector2D.direction(a, start.clone().add(motion.clone().multiply(t))).dot(edge) / length;
+                if (along >= 0 && along <= length) {
+                    consider(t);
+                }
+            }
+
+            // Corner
+            consider(Polygon.rayCircle(start, motion, a, radius));
+        }
+
+        return earliest;
+    }
+
+    /**
+     * First time a moving point enters a circle
+     * @param {Vector2D} start Point at t = 0
+     * @param {Vector2D} motion Movement over t = 0..1
+     * @param {Vector2D} center Circle center
+     * @param {number} radius Circle radius
+     * @returns {number|null} Entry time, or null if the path misses
+     */
+    static rayCircle(start, motion, center, radius) {
+        const offset = Vector2D.direction(center, start);
+        const a = motion.magnitudeSquared();
+        const b = 2 * offset.dot(motion);
+        const c = offset.magnitudeSquared() - radius * radius;
+
+        const discriminant = b * b - 4 * a * c;
+        if (a === 0 || discriminant < 0) return null;
+
+        return (-b - Math.sqrt(discriminant)) / (2 * a);
+    }
+}
@@ -1,4 +1,9 @@
 import { Game } from './Game.js';
+import { SaveManager } from './services/SaveManager.js';
+import { GameEvents } from './services/EventBus.js';
+import { Scenes } from './services/SceneManager.js';
+import { SettingsManager } from './services/SettingsManager.js';
+import { DevConsole } from './components/DevConsole.js';
 
 /**
  * Main application entry point
@@ -10,6 +15,7 @@ class AsteroidsApp {
         this.menuScreen = document.getElementById('menuScreen');
         this.gameScreen = document.getElementById('gameScreen');
         this.gameOverScreen = document.getElementById('gameOverScreen');
+        this.optionsScreen = document.getElementById('optionsScreen');
 
         // Menu controls
         this.shipColorSelector = document.getElementById('shipColorSelector');
@@ -18,8 +24,32 @@ class AsteroidsApp {
         this.restartButton = document.getElementById('restartButton');
         this.menuButton = document.getElementById('menuButton');
 
+        // Options
+        this.optionsButton = document.getElementById('optionsButton');
+        this.optionsBackButton = document.getElementById('optionsBackButton');
+        this.tickRateSelector = document.getElementById('tickRateSelector');
+        this.asteroidCollisionSelector = document.getElementById('asteroidCollisionSelector');
+        this.fireModeSelector = document.getElementById('fireModeSelector');
+        this.settings = new SettingsManager();
+
+        // Replay controls
+        this.watchReplayButton = document.getElementById('watchReplayButton');
+        this.replayFileInput = document.getElementById('replayFileInput');
+        this.replayStatus = document.getElementById('replayStatus');
+        this.saveReplayButton = document.getElementById('saveReplayButton');
+
+        // Saved games
+        this.savedGamesSection = document.getElementById('savedGamesSection');
+        this.savedGamesList = document.getElementById('savedGamesList');
+        this.gameMessage = document.getElementById('gameMessage');
+        this.saveManager = new SaveManager();
+
+        // Save hotkeys: quick save/load plus manual slots
+        this.saveSlotKeys = { F6: 'slot1', F7: 'slot2', F8: 'slot3' };
+
         // Game over screen elements
         this.finalScoreDisplay = document.getElementById('finalScoreValue');
+        this.gameSeedDisplay = document.getElementById('gameSeedValue');
 
         // Game instance
         this.game = null;
@@ -37,7 +67,7 @@ class AsteroidsApp {
     initialize() {
         this.setupEventListeners();
         this.setupCanvas();
-        this.showMenu();
+        this.showCurrentScene();
     }
 
     /**
@@ -64,11 +94,38 @@ class AsteroidsApp {
         this.restartButton.addEventListener('click', () => this.startGame());
         this.menuButton.addEventListener('click', () => this.returnToMainMenu());
 
+        // Options
+        this.optionsButton.addEventListener('click', () => this.game.gameState.scenes.push(Scenes.options));
+        this.optionsBackButton.addEventListener('click', () => this.game.gameState.scenes.pop());
+        this.tickRateSelector.addEventListener('click', (e) =>
+            this.handleOptionClick(e, (v) => this.selectTickRate(Number(v)), 'tick-rate-option', 'tickRate'));
+        this.asteroidCollisionSelector.addEventListener('click', (e) =>
+            this.handleOptionClick(e, (v) => this.selectAsteroidCollisions(v), 'asteroid-collision-option', 'asteroidCollisions'));
+        this.fireModeSelector.addEventListener('click', (e) =>
+            this.handleOptionClick(e, (v) => this.selectFireMode(v), 'fire-mode-option', 'fireMode'));
+
+        // Replays
+        this.watchReplayButton.addEventListener('click', () => this.replayFileInput.click());
+        this.replayFileInput.addEventListener('change', () => this.loadReplayFile());
+        this.saveReplayButton.addEventListener('click', () => this.saveReplay());
+
         // Global keyboard events
         document.addEventListener('keydown', (event) => {
             this.handleGlobalKeyboard(event);
         });
 
+        // Continue a saved game
+        this.savedGamesList.addEventListener('click', (e) =>
+            this.handleOptionClick(e, (slot) => this.continueGame(slot), 'saved-game-option', 'slot'));
+
+        // Autosave and pause when the tab is hidden, so closing it mid-level loses nothing
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.isPlaying()) {
+                this.saveToSlot('auto');
+                this.game.pause();
+            }
+        });
+
         // Prevent context menu on canvas
         this.canvas.addEventListener('contextmenu', (event) => {
             event.preventDefault();
@@ -80,10 +137,39 @@ class AsteroidsApp {
      */
     setupCanvas() {
         this.resizeCanvas();
-        this.game = new Game(this.canvas);
+        this.game = new Game(this.canvas, {
+            tickRate: this.settings.get('tickRate'),
+            asteroidCollisions: this.settings.get('asteroidCollisions'),
+            fireMode: this.settings.get('fireMode')
+        });
+        this.subscribeToGameEvents();
+
+        // Developer console freezes the game while it has the keyboard
+        this.devConsole = new DevConsole(document.getElementById('gameContainer'), this.game, {
+            onToggle: (isOpen) => this.game.setFrozen(isOpen)
+        });
+
         this.game.start();
     }
 
+    /**
+     * Follow scene changes and announce progression events on screen
+     */
+    subscribeToGameEvents() {
+        const { events } = this.game;
+
+        this.game.gameState.scenes.onTransition(() => this.showCurrentScene());
+
+        events.on(GameEvents.extraLifeEarned, () => this.flashMessage('Extra life!'));
+        events.on(GameEvents.levelCompleted, ({ bonusAwarded }) => {
+            this.flashMessage(`Level bonus ${bonusAwarded}`);
+        });
+        events.on(GameEvents.powerUpCollected, ({ kind, label }) => {
+            // An extra life announces itself through extraLifeEarned
+            if (kind !== 'extraLife') this.flashMessage(label);
+        });
+    }
+
     /**
      * Resize canvas to container dimensions
      */
@@ -129,12 +215,40 @@ class AsteroidsApp {
         this.updateOptionSelection(this.difficultySelector, 'difficulty-option', 'difficulty', difficulty);
     }
 
+    /**
+     * Select simulation tick rate
+     * @param {number} tickRate Simulation ticks per second
+     */
+    selectTickRate(tickRate) {
+        this.settings.set('tickRate', tickRate);
+        this.updateOptionSelection(this.tickRateSelector, 'tick-rate-option', 'tickRate', String(tickRate));
+        this.game.setTickRate(tickRate);
+    }
+
+    /**
+     * Select whether asteroids bounce off each other
+     * @param {string} mode 'difficulty' to follow the difficulty preset, or 'on' / 'off'
+     */
+    selectAsteroidCollisions(mode) {
+        this.settings.set('asteroidCollisions', mode);
+        this.updateOptionSelection(this.asteroidCollisionSelector, 'asteroid-collision-option', 'asteroidCollisions', mode);
+        this.game.setAsteroidCollisionMode(mode);
+    }
+
+    /**
+     * Select how the ship fires
+     * @param {string} mode 'manual', 'auto', 'burst' or 'charge'
+     */
+    selectFireMode(mode) {
+        this.settings.set('fireMode', mode);
+        this.updateOptionSelection(this.fireModeSelector, 'fire-mode-option', 'fireMode', mode);
+        this.game.setFireMode(mode);
+    }
+
     /**
      * Start a new game
      */
     startGame() {
-        this.showGameScreen();
-
         // Force canvas dimensions and ensure proper sizing
         this.canvas.width = 800;
         this.canvas.height = 600;
@@ -143,33 +257,151 @@ class AsteroidsApp {
         this.game.resize(800, 600);
 
         this.game.startNewGame(this.selectedDifficulty, this.selectedShipColor);
-        this.startGameUpdateLoop();
     }
 
     /**
-     * Start the game update loop for UI synchronization
+     * Load the replay file chosen in the file picker and play it
      */
-    startGameUpdateLoop() {
-        const updateUI = () => {
-            if (this.game && this.game.gameState) {
-                const gameState = this.game.gameState.getUIState();
+    async loadReplayFile() {
+        const file = this.replayFileInput.files[0];
+        this.replayFileInput.value = '';
+        if (!file) return;
+
+        let replay;
+        try {
+            replay = JSON.parse(await file.text());
+        } catch (error) {
+            this.replayStatus.textContent = 'Could not read replay file';
+            return;
+        }
 
-                // HUD is now handled by canvas rendering
+        this.watchReplay(replay);
+    }
 
-                if (gameState.gamePhase === 'gameOver') {
-                    this.showGameOver(gameState.score);
-                } else if (gameState.gamePhase === 'menu') {
-                    this.showMenu();
-                }
+    /**
+     * Play back a replay in the game screen
+     * @param {Object} replay Replay data
+     */
+    watchReplay(replay) {
+        const result = this.game.startPlayback(replay);
+        if (!result.success) {
+            this.replayStatus.textContent = result.reason;
+            return;
+        }
 
-                // Pause screen is now handled by Canvas renderer
-            }
+        this.replayStatus.textContent = '';
+    }
 
-            // Continue update loop
-            requestAnimationFrame(updateUI);
-        };
+    /**
+     * Download the replay of the last finished game
+     */
+    saveReplay() {
+        const replay = this.game.getLastReplay();
+        if (!replay) return;
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `asteroids-replay-${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Check if a live game (not a replay) is in progress
+     * @returns {boolean} True while playing
+     */
+    isPlaying() {
+        return this.game && this.game.gameState.gamePhase === 'playing' && !this.game.simulation.isPlayingReplay();
+    }
 
-        updateUI();
+    /**
+     * Save the current game into a slot
+     * @param {string} slot Slot name
+     */
+    saveToSlot(slot) {
+        const result = this.saveManager.save(slot, this.game.createSnapshot());
+        this.flashMessage(result.success ? `Saved to ${this.saveManager.slotLabels[slot]}` : result.reason);
+    }
+
+    /**
+     * Load a slot into the running game
+     * @param {string} slot Slot name
+     * @returns {boolean} True if the game was restored
+     */
+    loadFromSlot(slot) {
+        const snapshot = this.saveManager.load(slot);
+        if (!snapshot) {
+            this.flashMessage(`${this.saveManager.slotLabels[slot]} is empty`);
+            return false;
+        }
+
+        const result = this.game.restoreSnapshot(snapshot);
+        this.flashMessage(result.success ? `Loaded ${this.saveManager.slotLabels[slot]}` : result.reason);
+        return result.success;
+    }
+
+    /**
+     * Continue a saved game from the menu, paused so the player can get their bearings
+     * @param {string} slot Slot name
+     */
+    continueGame(slot) {
+        if (this.loadFromSlot(slot)) {
+            this.game.pause();
+        }
+    }
+
+    /**
+     * List saved games in the menu
+     */
+    renderSavedGames() {
+        const saves = this.saveManager.listSaves();
+        this.savedGamesSection.classList.toggle('hidden', saves.length === 0);
+        this.savedGamesList.replaceChildren(...saves.map(save => {
+            const option = document.createElement('button');
+            option.className = 'saved-game-option';
+            option.dataset.slot = save.slot;
+            option.textContent = `${save.label} - Level ${save.level}, ${save.score} pts (${save.difficulty})`;
+            return option;
+        }));
+    }
+
+    /**
+     * Briefly show a message over the game canvas
+     * @param {string} text Message text
+     */
+    flashMessage(text) {
+        this.gameMessage.textContent = text;
+        this.gameMessage.classList.add('visible');
+
+        clearTimeout(this.gameMessageTimer);
+        this.gameMessageTimer = setTimeout(() => {
+            this.gameMessage.classList.remove('visible');
+        }, 1500);
+    }
+
+    /**
+     * Show the DOM screen for the current scene
+     * Pause and level transition overlays are drawn on the canvas by the renderer
+     */
+    showCurrentScene() {
+        const { scenes, score } = this.game.gameState;
+
+        switch (scenes.base) {
+            case Scenes.menu:
+                if (scenes.current === Scenes.options) {
+                    this.showOptions();
+                } else {
+                    this.showMenu();
+                }
+                break;
+            case Scenes.playing:
+                this.showGameScreen();
+                break;
+            case Scenes.gameOver:
+                this.showGameOver(score);
+                break;
+        }
     }
 
     /**
@@ -192,20 +424,29 @@ class AsteroidsApp {
         this.showScreen(this.menuScreen, () => {
             this.selectShipColor(this.selectedShipColor);
             this.selectDifficulty(this.selectedDifficulty);
+            this.renderSavedGames();
         });
     }
 
     /**
-     * Return to main menu (like ESC key) - resets game state properly
+     * Show options screen
      */
-    returnToMainMenu() {
-        // Reset game state properly (like ESC key does)
-        if (this.game && this.game.gameState) {
-            this.game.gameState.returnToMenu();
-        }
+    showOptions() {
+        this.showScreen(this.optionsScreen, () => {
+            this.updateOptionSelection(this.tickRateSelector, 'tick-rate-option', 'tickRate',
+                String(this.settings.get('tickRate')));
+            this.updateOptionSelection(this.asteroidCollisionSelector, 'asteroid-collision-option', 'asteroidCollisions',
+                this.settings.get('asteroidCollisions'));
+            this.updateOptionSelection(this.fireModeSelector, 'fire-mode-option', 'fireMode',
+                this.settings.get('fireMode'));
+        });
+    }
 
-        // Then show the menu UI
-        this.showMenu();
+    /**
+     * Return to main menu (like ESC key); the menu screen follows the scene change
+     */
+    returnToMainMenu() {
+        this.game.gameState.returnToMenu();
     }
 
     /**
@@ -223,6 +464,7 @@ class AsteroidsApp {
     showGameOver(finalScore) {
         this.showScreen(this.gameOverScreen, () => {
             this.finalScoreDisplay.textContent = finalScore;
+            this.gameSeedDisplay.textContent = this.game.getSeed();
         });
     }
 
@@ -230,7 +472,7 @@ class AsteroidsApp {
      * Hide all screens
      */
     hideAllScreens() {
-        const screens = [this.menuScreen, this.gameScreen, this.gameOverScreen];
+        const screens = [this.menuScreen, this.optionsScreen, this.gameScreen, this.gameOverScreen];
         screens.forEach(screen => {
             if (screen) {
                 screen.classList.add('hidden');
@@ -243,29 +485,52 @@ class AsteroidsApp {
      * @param {KeyboardEvent} event Keyboard event
      */
     handleGlobalKeyboard(event) {
+        const { scenes } = this.game.gameState;
+
+        if (event.code === 'Backquote') {
+            event.preventDefault();
+            this.devConsole.toggle();
+            return;
+        }
+
+        // Escape during play is game input (handled by the simulation); elsewhere it backs out
         if (event.code === 'Escape') {
-            if (this.game && this.game.gameState) {
-                const gameState = this.game.gameState.getUIState();
+            if (scenes.current === Scenes.options) {
+                scenes.pop();
+            } else if (scenes.current === Scenes.gameOver) {
+                this.returnToMainMenu();
+            }
+        }
 
-                if (gameState.gamePhase === 'playing') {
-                    // Return to menu from game
-                    this.showMenu();
-                    this.game.gameState.returnToMenu();
-                } else if (gameState.gamePhase === 'gameOver') {
-                    // Return to menu from game over
-                    this.showMenu();
+        // Debug overlay: off, statistics, statistics with collision shapes
+        if (event.code === 'F3') {
+            event.preventDefault();
+            this.game.toggleDebugOverlay();
+        }
+
+        // Quick save (F5), quick load (F9) and manual slots (F6-F8) during play
+        if (event.code === 'F5' || event.code === 'F9' || this.saveSlotKeys[event.code]) {
+            event.preventDefault();
+
+            if (this.isPlaying()) {
+                if (event.code === 'F5') {
+                    this.saveToSlot('quick');
+                } else if (event.code === 'F9') {
+                    this.loadFromSlot('quick');
+                } else {
+                    this.saveToSlot(this.saveSlotKeys[event.code]);
                 }
             }
         }
 
         if (event.code === 'Enter' || event.code === 'Space') {
-            if (!this.menuScreen.classList.contains('hidden')) {
+            if (scenes.current === Scenes.menu) {
                 this.startGame();
             }
         }
 
         // Prevent default browser behavior for game keys
-        const gameKeys = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'KeyA', 'KeyW', 'KeyS', 'KeyD', 'KeyP'];
+        const gameKeys = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'KeyA', 'KeyW', 'KeyS', 'KeyD', 'KeyP', 'Space'];
         if (gameKeys.includes(event.code)) {
             event.preventDefault();
         }
@@ -1,4 +1,17 @@
 import { Vector2D } from '../lib/Vector2D.js';
+import { Polygon } from '../lib/Polygon.js';
+import { CollisionLayers } from '../lib/CollisionLayers.js';
+import { RandomStream } from '../services/RandomService.js';
+
+/**
+ * Mass per px² of outline (a large rock weighs about 30, a bullet 1)
+ */
+const DENSITY = 0.005;
+
+/**
+ * Largest radius each size class spawns with; shards are shrunk to fit theirs
+ */
+const MAX_RADIUS = { large: 50, medium: 33, small: 17 };
 
 /**
  * Asteroid - Destructible space rocks with procedural generation and splitting mechanics
@@ -6,18 +19,29 @@ import { Vector2D } from '../lib/Vector2D.js';
  */
 export class Asteroid {
     constructor(options = {}) {
+        // Gameplay random stream (shape, color, splitting)
+        this.rng = options.rng || new RandomStream();
+
         // Position and movement
         this.position = options.position || new Vector2D(0, 0);
         this.velocity = options.velocity || new Vector2D(0, 0);
-        this.angularVelocity = options.angularVelocity || (Math.random() - 0.5) * 2; // radians/second
+        this.angularVelocity = options.angularVelocity || (this.rng.next() - 0.5) * 2; // radians/second
         this.rotation = options.rotation || 0;
 
         // Size category and properties
         this.size = options.size || 'large'; // 'large', 'medium', 'small'
         this.setupSizeProperties();
+        if (options.radius) {
+            this.radius = options.radius; // Shards take their radius from their area
+        }
 
         // Procedural shape generation
         this.vertices = options.vertices || this.generateShape();
+        this.boundingRadius = Polygon.getBoundingRadius(this.vertices); // Broad-phase radius enclosing every vertex
+
+        // Mass follows the outline's area, so shards weigh what their piece of rock did
+        this.density = options.density ?? DENSITY;
+        this.mass = this.getArea() * this.density;
 
         // Visual properties
         this.color = options.color || this.generateColor();
@@ -25,6 +49,9 @@ export class Asteroid {
         // Game properties
         this.type = 'asteroid';
         this.isActive = true;
+        this.collisionLayer = CollisionLayers.asteroid;
+        this.collisionMask = CollisionLayers.ship | CollisionLayers.projectile |
+            CollisionLayers.asteroid | CollisionLayers.hazard;
 
         // Screen bounds for wrapping
         this.screenWidth = options.screenWidth || 800;
@@ -37,17 +64,17 @@ export class Asteroid {
     setupSizeProperties() {
         switch (this.size) {
             case 'large':
-                this.radius = 40 + Math.random() * 10;
+                this.radius = 40 + this.rng.next() * 10;
                 this.pointValue = 20;
-                this.splitCount = 2 + Math.floor(Math.random() * 2); // 2-3 pieces
+                this.splitCount = 2 + Math.floor(this.rng.next() * 2); // 2-3 pieces
                 break;
             case 'medium':
-                this.radius = 25 + Math.random() * 8;
+                this.radius = 25 + this.rng.next() * 8;
                 this.pointValue = 50;
-                this.splitCount = 2 + Math.floor(Math.random() * 2); // 2-3 pieces
+                this.splitCount = 2 + Math.floor(this.rng.next() * 2); // 2-3 pieces
                 break;
             case 'small':
-                this.radius = 12 + Math.random() * 5;
+                this.radius = 12 + this.rng.next() * 5;
                 this.pointValue = 100;
                 this.splitCount = 0; // Small asteroids don't split
                 break;
@@ -60,13 +87,13 @@ export class Asteroid {
      */
     generateShape() {
         const vertices = [];
-        const vertexCount = 8 + Math.floor(Math.random() * 5); // 8-12 vertices
+        const vertexCount = 8 + Math.floor(this.rng.next() * 5); // 8-12 vertices
 
         for (let i = 0; i < vertexCount; i++) {
             const angle = (i / vertexCount) * Math.PI * 2;
 
             // Apply random perturbation to radius (60-140% of base radius)
-            const radiusVariation = 0.6 + Math.random() * 0.8;
+            const radiusVariation = 0.6 + this.rng.next() * 0.8;
             const vertexRadius = this.radius * radiusVariation;
 
             // Convert polar to cartesian coordinates
@@ -85,9 +112,9 @@ export class Asteroid {
      */
     generateColor() {
         // Soft rainbow colors with consistent saturation and lightness
-        const hue = Math.floor(Math.random() * 360);
-        const saturation = 60 + Math.random() * 20; // 60-80%
-        const lightness = 50 + Math.random() * 20;  // 50-70%
+        const hue = Math.floor(this.rng.next() * 360);
+        const saturation = 60 + this.rng.next() * 20; // 60-80%
+        const lightness = 50 + this.rng.next() * 20;  // 50-70%
 
         return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
     }
@@ -113,47 +140,170 @@ export class Asteroid {
     }
 
     /**
-     * Split asteroid into smaller pieces when destroyed
-     * @returns {Array<Asteroid>} Array of smaller asteroids
+     * Fracture the asteroid along cracks running from where it was hit
+     * The outline is cut into splitCount wedges around a fracture point just inside the rock
+     * on the shot's path, one crack leading back to the impact point. Each shard keeps its
+     * piece of the outline and takes a size class from its area (never larger than the next size
+     * down, shrunk to that class's radius if need be). Slivers too small for a rock are dropped;
+     * when that would leave fewer than two shards, the rock is cut in half through its center.
+     * The shards fly apart without moving their combined center of mass, which carries on
+     * with the parent's velocity plus the impulse of the shot
+     * @param {Object} impact Optional { point, direction, impulse } in world space; without a
+     *                        point the rock cracks from its center, without a direction (or
+     *                        impulse to take it from) in a random direction
+     * @returns {Array<Asteroid>} Shards
      */
-    split() {
+    split(impact = {}) {
         if (this.splitCount === 0) {
             return []; // Small asteroids don't split
         }
 
-        const fragments = [];
         const nextSize = this.size === 'large' ? 'medium' : 'small';
 
+        // Work in the asteroid's own frame, where its vertices are defined
+        const impactDirection = impact.direction || impact.impulse;
+        const direction = (impactDirection ? impactDirection.normalized() : Vector2D.fromAngle(this.rng.angle()))
+            .rotate(-this.rotation);
+        let fracturePoint = new Vector2D(0, 0);
+        if (impact.point) {
+            const entry = this.getOffsetTo(impact.point).rotate(-this.rotation);
+            fracturePoint = entry.add(direction.clone().multiply(this.radius * 0.35));
+        }
+
+        // Cracks radiate from the fracture point; with two pieces they form one straight cut
+        const crackAngles = [];
+        const firstCrack = Math.atan2(-direction.y, -direction.x) + (this.rng.next() - 0.5) * 0.3;
         for (let i = 0; i < this.splitCount; i++) {
-            // Calculate fragment velocity with inherited momentum
-            const angle = (i / this.splitCount) * Math.PI * 2 + Math.random() * 0.5;
-            const speed = 50 + Math.random() * 100; // Random speed for fragments
-            const fragmentVelocity = Vector2D.fromAngle(angle, speed);
-
-            // Add some of parent's velocity
-            fragmentVelocity.add(this.velocity.clone().multiply(0.3));
-
-            // Create fragment with slight position offset
-            const offsetDistance = this.radius * 0.3;
-            const offset = Vector2D.fromAngle(angle, offsetDistance);
-            const fragmentPosition = this.position.clone().add(offset);
-
-            const fragment = new Asteroid({
-                position: fragmentPosition,
-                velocity: fragmentVelocity,
-                angularVelocity: (Math.random() - 0.5) * 4,
-                size: nextSize,
-                screenWidth: this.screenWidth,
-                screenHeight: this.screenHeight
-            });
-
-            fragments.push(fragment);
+            const jitter = i > 0 && this.splitCount > 2 ? (this.rng.next() - 0.5) * 0.6 : 0;
+            crackAngles.push(firstCrack + (i / this.splitCount) * Math.PI * 2 + jitter);
+        }
+
+        let shards = this.crack(fracturePoint, crackAngles, nextSize);
+        if (shards.length < 2) {
+            // A glancing hit only chipped off slivers; cut it in two through the center instead
+            shards = this.crack(new Vector2D(0, 0), [firstCrack, firstCrack + Math.PI], nextSize);
+        }
+
+        // Cancel the spread's net momentum, then share out the shot's (dropped slivers take their part)
+        const spreadMass = shards.reduce((sum, shard) => sum + shard.mass, 0);
+        const drift = new Vector2D(0, 0);
+        for (const shard of shards) {
+            drift.add(shard.velocity.clone().subtract(this.velocity).multiply(shard.mass / spreadMass));
+        }
+        const kick = impact.impulse ? impact.impulse.clone().divide(this.mass) : new Vector2D(0, 0);
+        for (const shard of shards) {
+            shard.velocity.subtract(drift).add(kick);
         }
 
         // Deactivate this asteroid
         this.isActive = false;
 
-        return fragments;
+        return shards;
+    }
+
+    /**
+     * Cut the outline into wedges between cracks and turn each into a shard
+     * @param {Vector2D} fracturePoint Where the cracks meet, in this asteroid's frame
+     * @param {Array<number>} crackAngles Crack directions in radians, in order around the point
+     * @param {string} maxSize Largest size class a shard may have
+     * @returns {Array<Asteroid>} Shards, without the slivers
+     */
+    crack(fracturePoint, crackAngles, maxSize) {
+        const shards = [];
+        for (let i = 0; i < crackAngles.length; i++) {
+            // Wedge between two cracks (never wider than half a turn, so two cuts carve it out)
+            const start = crackAngles[i];
+            const end = crackAngles[(i + 1) % crackAngles.length];
+            let piece = Polygon.clip(this.vertices, fracturePoint, new Vector2D(-Math.sin(start), Math.cos(start)));
+            piece = Polygon.clip(piece, fracturePoint, new Vector2D(Math.sin(end), -Math.cos(end)));
+
+            const shard = this.createShard(piece, fracturePoint, maxSize);
+            if (shard) {
+                shards.push(shard);
+            }
+        }
+        return shards;
+    }
+
+    /**
+     * Turn a piece of this asteroid's outline into an asteroid of its own
+     * @param {Array<Vector2D>} piece Outline piece in this asteroid's frame
+     * @param {Vector2D} fracturePoint Where the cracks meet, in this asteroid's frame
+     * @param {string} maxSize Largest size class the shard may have
+     * @returns {Asteroid|null} Shard moving with the parent plus its share of the spread, or null for a sliver
+     */
+    createShard(piece, fracturePoint, maxSize) {
+        if (piece.length < 3) return null;
+
+        let radius = Math.sqrt(Math.abs(Polygon.signedArea(piece)) / Math.PI);
+        const sizeForArea = Asteroid.getSizeForRadius(radius);
+        if (!sizeForArea) return null;
+
+        const sizes = ['small', 'medium', 'large'];
+        const size = sizes[Math.min(sizes.indexOf(sizeForArea), sizes.indexOf(maxSize))];
+
+        // A piece too big for its class is shrunk to fit, the rest of its rock crumbling away
+        const scale = Math.min(1, MAX_RADIUS[size] / radius);
+        radius *= scale;
+
+        // Center the outline on its area centroid; collisions need it star-shaped about its center
+        let center = Polygon.areaCentroid(piece);
+        let vertices = piece.map(vertex => vertex.clone().subtract(center));
+        if (!Polygon.isStarShaped(vertices, new Vector2D(0, 0))) {
+            const hull = Polygon.convexHull(piece);
+            center = Polygon.areaCentroid(hull);
+            vertices = hull.map(vertex => vertex.clone().subtract(center));
+        }
+        vertices.forEach(vertex => vertex.multiply(scale));
+
+        // Pushed away from the cracks, on top of the parent's drift
+        const outward = Vector2D.direction(fracturePoint, center).normalize();
+        const velocity = this.velocity.clone()
+            .add(outward.rotate(this.rotation).multiply(40 + this.rng.next() * 60));
+
+        const position = this.position.clone().add(center.clone().rotate(this.rotation));
+        position.x = ((position.x % this.screenWidth) + this.screenWidth) % this.screenWidth;
+        position.y = ((position.y % this.screenHeight) + this.screenHeight) % this.screenHeight;
+
+        return new Asteroid({
+            position,
+            velocity,
+            rotation: this.rotation,
+            angularVelocity: this.angularVelocity + (this.rng.next() - 0.5) * 2,
+            size,
+            radius,
+            vertices,
+            density: this.density,
+            color: this.color,
+            screenWidth: this.screenWidth,
+            screenHeight: this.screenHeight,
+            rng: this.rng
+        });
+    }
+
+    /**
+     * Get the size class whose rocks match an area
+     * @param {number} radius Radius of a circle with the same area
+     * @returns {string|null} 'large', 'medium', 'small', or null for a sliver
+     */
+    static getSizeForRadius(radius) {
+        if (radius >= 36) return 'large';
+        if (radius >= 20) return 'medium';
+        if (radius >= 8) return 'small';
+        return null;
+    }
+
+    /**
+     * Get the shortest offset from this asteroid's center to a point, across the screen edges
+     * @param {Object} point World point with x and y
+     * @returns {Vector2D} Offset
+     */
+    getOffsetTo(point) {
+        let dx = point.x - this.position.x;
+        let dy = point.y - this.position.y;
+        dx -= this.screenWidth * Math.round(dx / this.screenWidth);
+        dy -= this.screenHeight * Math.round(dy / this.screenHeight);
+        return new Vector2D(dx, dy);
     }
 
     /**
@@ -171,6 +321,14 @@ export class Asteroid {
         return true; // Other collisions (ship, etc.) are handled by the other object
     }
 
+    /**
+     * Area enclosed by the outline
+     * @returns {number} Area in px²
+     */
+    getArea() {
+        return Math.abs(Polygon.signedArea(this.vertices));
+    }
+
     /**
      * Destroy this asteroid (called by EntityManager for proper fragment handling)
      * @returns {boolean} True to indicate collision was processed
@@ -182,20 +340,20 @@ export class Asteroid {
 
     /**
      * Wrap asteroid position around screen edges
+     * Wraps with the screen's period so collisions match what is drawn; the renderer
+     * draws the part hanging over an edge on the opposite side
      */
     wrapScreenEdges() {
-        const buffer = this.radius; // Allow asteroid to partially exit before wrapping
-
-        if (this.position.x < -buffer) {
-            this.position.x = this.screenWidth + buffer;
-        } else if (this.position.x > this.screenWidth + buffer) {
-            this.position.x = -buffer;
+        if (this.position.x < 0) {
+            this.position.x += this.screenWidth;
+        } else if (this.position.x >= this.screenWidth) {
+            this.position.x -= this.screenWidth;
         }
 
-        if (this.position.y < -buffer) {
-            this.position.y = this.screenHeight + buffer;
-        } else if (this.position.y > this.screenHeight + buffer) {
-            this.position.y = -buffer;
+        if (this.position.y < 0) {
+            this.position.y += this.screenHeight;
+        } else if (this.position.y >= this.screenHeight) {
+            this.position.y -= this.screenHeight;
         }
     }
 
@@ -211,6 +369,14 @@ export class Asteroid {
         };
     }
 
+    /**
+     * Get the polygon used for precise collisions
+     * @returns {Array<Vector2D>} Outline relative to the center, before rotation
+     */
+    getCollisionOutline() {
+        return this.vertices;
+    }
+
     /**
      * Draw the asteroid on the canvas
      * @param {CanvasRenderingContext2D} context Canvas rendering context
@@ -254,9 +420,10 @@ export class Asteroid {
      * @param {number} screenWidth Screen width
      * @param {number} screenHeight Screen height
      * @param {number} safeDistance Minimum distance from player
+     * @param {RandomStream} rng Gameplay random stream
      * @returns {Asteroid} New asteroid instance
      */
-    static createRandom(playerPosition, size = 'large', screenWidth = 800, screenHeight = 600, safeDistance = 100) {
+    static createRandom(playerPosition, size = 'large', screenWidth = 800, screenHeight = 600, safeDistance = 100, rng = new RandomStream()) {
         let position;
         let attempts = 0;
         const maxAttempts = 50;
@@ -264,8 +431,8 @@ export class Asteroid {
         // Find a safe spawn position
         do {
             position = new Vector2D(
-                Math.random() * screenWidth,
-                Math.random() * screenHeight
+                rng.next() * screenWidth,
+                rng.next() * screenHeight
             );
             attempts++;
         } while (
@@ -274,8 +441,8 @@ export class Asteroid {
         );
 
         // Generate random velocity
-        const angle = Math.random() * Math.PI * 2;
-        const speed = 20 + Math.random() * 40;
+        const angle = rng.angle();
+        const speed = 20 + rng.next() * 40;
         const velocity = Vector2D.fromAngle(angle, speed);
 
         return new Asteroid({
@@ -283,7 +450,8 @@ export class Asteroid {
             velocity,
             size,
             screenWidth,
-            screenHeight
+            screenHeight,
+            rng
         });
     }
 
@@ -294,9 +462,10 @@ export class Asteroid {
      * @param {string} difficulty Difficulty level ('easy', 'medium', 'hard')
      * @param {number} screenWidth Screen width
      * @param {number} screenHeight Screen height
+     * @param {RandomStream} rng Gameplay random stream
      * @returns {Array<Asteroid>} Array of asteroid instances
      */
-    static createField(count, playerPosition, difficulty = 'medium', screenWidth = 800, screenHeight = 600) {
+    static createField(count, playerPosition, difficulty = 'medium', screenWidth = 800, screenHeight = 600, rng = new RandomStream()) {
         const asteroids = [];
 
         // Size distribution based on difficulty
@@ -315,7 +484,8 @@ export class Asteroid {
                 size,
                 screenWidth,
                 screenHeight,
-                120 // Safe distance
+                120, // Safe distance
+                rng
             );
             asteroids.push(asteroid);
         }
@@ -329,14 +499,39 @@ export class Asteroid {
      */
     getConfig() {
         return {
+            id: this.id,
             position: { x: this.position.x, y: this.position.y },
             velocity: { x: this.velocity.x, y: this.velocity.y },
             rotation: this.rotation,
             angularVelocity: this.angularVelocity,
             size: this.size,
+            radius: this.radius,
+            splitCount: this.splitCount,
+            density: this.density,
             color: this.color,
             vertices: this.vertices.map(v => ({ x: v.x, y: v.y })),
             isActive: this.isActive
         };
     }
+
+    /**
+     * Set asteroid configuration from saved data
+     * @param {Object} config Asteroid configuration
+     */
+    setConfig(config) {
+        this.id = config.id;
+        this.position.set(config.position.x, config.position.y);
+        this.velocity.set(config.velocity.x, config.velocity.y);
+        this.rotation = config.rotation || 0;
+        this.angularVelocity = config.angularVelocity || 0;
+        this.size = config.size || this.size;
+        this.radius = config.radius || this.radius;
+        this.splitCount = config.splitCount ?? this.splitCount;
+        this.color = config.color || this.color;
+        this.vertices = config.vertices.map(v => new Vector2D(v.x, v.y));
+        this.boundingRadius = Polygon.getBoundingRadius(this.vertices);
+        this.density = config.density ?? this.density;
+        this.mass = this.getArea() * this.density;
+        this.isActive = config.isActive !== false;
+    }
 }
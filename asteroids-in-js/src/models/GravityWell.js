@@ -0,0 +1,195 @@
+import { Vector2D } from '../lib/Vector2D.js';
+import { CollisionLayers } from '../lib/CollisionLayers.js';
+
+/**
+ * Presets for each kind of well
+ * strength: pull in px³/s² (acceleration = strength / distance²)
+ * eventHorizon: anything whose center comes this close is destroyed (0 = harmless)
+ * radius: extent of the drawn accretion swirl
+ * softening: distance below which the pull stops growing, so nothing is flung to infinity
+ * range: distance beyond which there is no pull at all
+ */
+const KINDS = {
+    planet: {
+        strength: 1200000,
+        eventHorizon: 26,
+        radius: 48,
+        softening: 30,
+        range: 320,
+        color: '#4488FF',
+        spinSpeed: 0.6
+    },
+    blackHole: {
+        strength: 2400000,
+        eventHorizon: 14,
+        radius: 64,
+        softening: 20,
+        range: 320,
+        color: '#AA66FF',
+        spinSpeed: 2.5
+    }
+};
+
+/**
+ * GravityWell - Static hazard that pulls the ship, asteroids and projectiles towards it
+ * Planets have a solid surface, black holes a small event horizon; both destroy whatever
+ * reaches them. Placed from level data (see data/levels.js)
+ */
+export class GravityWell {
+    constructor(options = {}) {
+        this.kind = KINDS[options.kind] ? options.kind : 'blackHole';
+        const preset = KINDS[this.kind];
+
+        this.position = options.position || new Vector2D(0, 0);
+        this.strength = options.strength ?? preset.strength;
+        this.eventHorizon = options.eventHorizon ?? preset.eventHorizon;
+        this.radius = options.radius ?? preset.radius;
+        this.softening = options.softening ?? preset.softening;
+        this.range = options.range ?? preset.range;
+        this.color = options.color || preset.color;
+        this.spinSpeed = options.spinSpeed ?? preset.spinSpeed; // Swirl radians/second
+
+        // Swirl phase (cosmetic)
+        this.rotation = options.rotation || 0;
+
+        this.type = 'gravityWell';
+        this.isActive = true;
+        this.collisionLayer = CollisionLayers.hazard;
+        this.collisionMask = CollisionLayers.ship | CollisionLayers.asteroid | CollisionLayers.projectile |
+            CollisionLayers.enemy;
+    }
+
+    /**
+     * Check if a kind of well exists
+     * @param {string} kind Well kind
+     * @returns {boolean} True for 'planet' and 'blackHole'
+     */
+    static isKind(kind) {
+        return Object.hasOwn(KINDS, kind);
+    }
+
+    /**
+     * Advance the swirl animation
+     * @param {number} deltaTime Time elapsed since last frame (milliseconds)
+     */
+    update(deltaTime) {
+        this.rotation = (this.rotation + this.spinSpeed * deltaTime / 1000) % (Math.PI * 2);
+    }
+
+    /**
+     * Pull on a body at a given offset
+     * @param {Vector2D} offset Offset from the body to the well (shortest, across the edges)
+     * @returns {Vector2D|null} Acceleration in px/s², or null when out of range
+     */
+    getAcceleration(offset) {
+        const distanceSquared = offset.magnitudeSquared();
+        if (distanceSquared > this.range * this.range || distanceSquared === 0) return null;
+
+        const softenedSquared = Math.max(distanceSquared, this.softening * this.softening);
+        return offset.clone().normalize().multiply(this.strength / softenedSquared);
+    }
+
+    /**
+     * Get circular collision boundary (the lethal core)
+     * @returns {Object} Collision bounds with position and radius
+     */
+    getBounds() {
+        return {
+            x: this.position.x,
+            y: this.position.y,
+            radius: this.eventHorizon
+        };
+    }
+
+    /**
+     * Draw the well with its accretion swirl
+     * @param {CanvasRenderingContext2D} context Canvas rendering context
+     */
+    draw(context) {
+        if (!this.isActive) return;
+
+        context.save();
+        context.translate(this.position.x, this.position.y);
+
+        // Soft glow fading out to the edge of the swirl
+        const glow = context.createRadialGradient(0, 0, this.eventHorizon, 0, 0, this.radius);
+        glow.addColorStop(0, this.color);
+        glow.addColorStop(1, 'transparent');
+        context.globalAlpha = 0.35;
+        context.fillStyle = glow;
+        context.beginPath();
+        context.arc(0, 0, this.radius, 0, Math.PI * 2);
+        context.fill();
+
+        // Spiral arms winding in towards the core
+        const armCount = 4;
+        context.rotate(this.rotation);
+        context.strokeStyle = this.color;
+        context.lineWidth = 1.5;
+        for (let arm = 0; arm < armCount; arm++) {
+            context.globalAlpha = 0.6;
+            context.beginPath();
+            for (let step = 0; step <= 16; step++) {
+                const t = step / 16;
+                const distance = this.radius - (this.radius - this.eventHorizon) * t;
+                const angle = (arm / armCount) * Math.PI * 2 + t * Math.PI;
+                const x = Math.cos(angle) * distance;
+                const y = Math.sin(angle) * distance;
+                if (step === 0) {
+                    context.moveTo(x, y);
+                } else {
+                    context.lineTo(x, y);
+                }
+            }
+            context.stroke();
+        }
+
+        // Core: a dark hole with a bright rim, or a solid planet
+        context.globalAlpha = 1;
+        context.beginPath();
+        context.arc(0, 0, this.eventHorizon, 0, Math.PI * 2);
+        context.fillStyle = this.kind === 'blackHole' ? '#000000' : this.color;
+        context.fill();
+        context.lineWidth = 2;
+        context.stroke();
+
+        context.restore();
+    }
+
+    /**
+     * Get well configuration for serialization
+     * @returns {Object} Well configuration
+     */
+    getConfig() {
+        return {
+            kind: this.kind,
+            position: { x: this.position.x, y: this.position.y },
+            strength: this.strength,
+            eventHorizon: this.eventHorizon,
+            radius: this.radius,
+            softening: this.softening,
+            range: this.range,
+            color: this.color,
+            spinSpeed: this.spinSpeed,
+            rotation: this.rotation,
+            isActive: this.isActive
+        };
+    }
+
+    /**
+     * Set well configuration from saved data
+     * @param {Object} config Well configuration
+     */
+    setConfig(config) {
+        this.position.set(config.position.x, config.position.y);
+        this.strength = config.strength;
+        this.eventHorizon = config.eventHorizon;
+        this.radius = config.radius;
+        this.softening = config.softening;
+        this.range = config.range;
+        this.color = config.color;
+        this.spinSpeed = config.spinSpeed;
+        this.rotation = config.rotation || 0;
+        this.isActive = config.isActive !== false;
+    }
+}
@@ -1,4 +1,6 @@
 import { Vector2D } from '../lib/Vector2D.js';
+import { Drag } from '../lib/Drag.js';
+import { RandomStream } from '../services/RandomService.js';
 
 /**
  * Particle - Visual effects for explosions and destruction feedback
@@ -22,7 +24,7 @@ export class Particle {
         this.age = 0;
 
         // Physics properties
-        this.drag = options.drag || 0.95; // Velocity decay factor
+        this.drag = options.drag || Drag.fromPerTick(0.95); // Velocity kept per second
         this.gravity = options.gravity || new Vector2D(0, 0); // Optional gravity effect
 
         // State
@@ -55,9 +57,8 @@ export class Particle {
         // Calculate life progress (0 to 1)
         const lifeProgress = this.age / this.lifespan;
 
-        // Update position based on velocity
-        const movement = this.velocity.clone().multiply(deltaSeconds);
-        this.position.add(movement);
+        // Move and apply drag
+        Drag.integrate(this.position, this.velocity, this.drag, deltaTime);
 
         // Apply gravity if present
         if (this.gravity.magnitude() > 0) {
@@ -65,9 +66,6 @@ export class Particle {
             this.velocity.add(gravityEffect);
         }
 
-        // Apply drag to velocity
-        this.velocity.multiply(this.drag);
-
         // Update alpha (fade out over time)
         if (this.fadeOut) {
             this.alpha = this.initialAlpha * (1 - lifeProgress);
@@ -169,11 +167,12 @@ export class Particle {
      * @param {Vector2D} position Center position of explosion
      * @param {string} color Base color for particles
      * @param {number} count Number of particles to create
-     * @param {Object} options Additional options
+     * @param {Object} options Additional options (options.rng: cosmetic random stream)
      * @returns {Array<Particle>} Array of particle instances
      */
     static createExplosion(position, color = '#FFFFFF', count = 8, options = {}) {
         const particles = [];
+        const { rng = new RandomStream(), ...particleOptions } = options;
 
         const baseSpeed = options.speed || 100;
         const speedVariation = options.speedVariation || 50;
@@ -182,12 +181,12 @@ export class Particle {
 
         for (let i = 0; i < count; i++) {
             // Random direction
-            const angle = (i / count) * Math.PI * 2 + (Math.random() - 0.5) * 0.5;
-            const speed = baseSpeed + (Math.random() - 0.5) * speedVariation;
+            const angle = (i / count) * Math.PI * 2 + (rng.next() - 0.5) * 0.5;
+            const speed = baseSpeed + (rng.next() - 0.5) * speedVariation;
             const velocity = Vector2D.fromAngle(angle, speed);
 
             // Add slight position offset
-            const offset = Vector2D.fromAngle(angle, Math.random() * 5);
+            const offset = Vector2D.fromAngle(angle, rng.next() * 5);
             const particlePosition = position.clone().add(offset);
 
             // Create particle with random variations
@@ -195,10 +194,10 @@ export class Particle {
                 position: particlePosition,
                 velocity,
                 color,
-                size: size + Math.random() * 2,
-                lifespan: lifespan + (Math.random() - 0.5) * 500,
-                drag: 0.92 + Math.random() * 0.05,
-                ...options
+                size: size + rng.next() * 2,
+                lifespan: lifespan + (rng.next() - 0.5) * 500,
+                drag: Drag.fromPerTick(0.92 + rng.next() * 0.05),
+                ...particleOptions
             });
 
             particles.push(particle);
@@ -213,16 +212,17 @@ export class Particle {
      * @param {Vector2D} velocity Initial velocity to inherit
      * @param {string} color Base color
      * @param {number} count Number of debris particles
-     * @param {Object} options Additional options
+     * @param {Object} options Additional options (options.rng: cosmetic random stream)
      * @returns {Array<Particle>} Array of debris particles
      */
     static createDebris(position, velocity, color = '#888888', count = 6, options = {}) {
         const particles = [];
+        const { rng = new RandomStream(), ...particleOptions } = options;
 
         for (let i = 0; i < count; i++) {
             // Random direction with some inheritance from original velocity
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 30 + Math.random() * 70;
+            const angle = rng.angle();
+            const speed = 30 + rng.next() * 70;
             const debrisVelocity = Vector2D.fromAngle(angle, speed);
 
             // Add portion of original velocity
@@ -232,11 +232,11 @@ export class Particle {
                 position: position.clone(),
                 velocity: debrisVelocity,
                 color,
-                size: 2 + Math.random() * 3,
-                lifespan: 800 + Math.random() * 600,
-                drag: 0.90,
+                size: 2 + rng.next() * 3,
+                lifespan: 800 + rng.next() * 600,
+                drag: Drag.fromPerTick(0.90),
                 shrink: false, // Debris doesn't shrink
-                ...options
+                ...particleOptions
             });
 
             particles.push(particle);
@@ -251,30 +251,31 @@ export class Particle {
      * @param {Vector2D} direction Impact direction
      * @param {string} color Spark color
      * @param {number} count Number of sparks
-     * @param {Object} options Additional options
+     * @param {Object} options Additional options (options.rng: cosmetic random stream)
      * @returns {Array<Particle>} Array of spark particles
      */
     static createSparks(position, direction, color = '#FFFF00', count = 5, options = {}) {
         const particles = [];
+        const { rng = new RandomStream(), ...particleOptions } = options;
 
         const baseAngle = direction.angle();
-        const spreadAngle = options.spread || Math.PI / 3; // 60 degree spread
+        const spreadAngle = particleOptions.spread || Math.PI / 3; // 60 degree spread
 
         for (let i = 0; i < count; i++) {
             // Create sparks in a cone from the impact direction
-            const angleOffset = (Math.random() - 0.5) * spreadAngle;
+            const angleOffset = (rng.next() - 0.5) * spreadAngle;
             const sparkAngle = baseAngle + Math.PI + angleOffset; // Sparks fly backward from impact
-            const speed = 80 + Math.random() * 40;
+            const speed = 80 + rng.next() * 40;
             const velocity = Vector2D.fromAngle(sparkAngle, speed);
 
             const particle = new Particle({
                 position: position.clone(),
                 velocity,
                 color,
-                size: 1 + Math.random() * 2,
-                lifespan: 400 + Math.random() * 300,
-                drag: 0.85,
-                ...options
+                size: 1 + rng.next() * 2,
+                lifespan: 400 + rng.next() * 300,
+                drag: Drag.fromPerTick(0.85),
+                ...particleOptions
             });
 
             particles.push(particle);
@@ -289,14 +290,45 @@ export class Particle {
      */
     getConfig() {
         return {
+            id: this.id,
             position: { x: this.position.x, y: this.position.y },
             velocity: { x: this.velocity.x, y: this.velocity.y },
+            gravity: { x: this.gravity.x, y: this.gravity.y },
             color: this.color,
             size: this.size,
+            initialSize: this.initialSize,
             alpha: this.alpha,
+            initialAlpha: this.initialAlpha,
+            drag: this.drag,
+            fadeOut: this.fadeOut,
+            shrink: this.shrink,
             age: this.age,
             lifespan: this.lifespan,
             isActive: this.isActive
         };
     }
+
+    /**
+     * Set particle configuration from saved data
+     * @param {Object} config Particle configuration
+     */
+    setConfig(config) {
+        this.id = config.id;
+        this.position.set(config.position.x, config.position.y);
+        this.velocity.set(config.velocity.x, config.velocity.y);
+        if (config.gravity) {
+            this.gravity.set(config.gravity.x, config.gravity.y);
+        }
+        this.color = config.color || this.color;
+        this.size = config.size ?? this.size;
+        this.initialSize = config.initialSize ?? this.size;
+        this.alpha = config.alpha ?? this.alpha;
+        this.initialAlpha = config.initialAlpha ?? this.alpha;
+        this.drag = config.drag ?? this.drag;
+        this.fadeOut = config.fadeOut !== false;
+        this.shrink = config.shrink !== false;
+        this.age = config.age || 0;
+        this.lifespan = config.lifespan || this.lifespan;
+        this.isActive = config.isActive !== false;
+    }
 }
@@ -0,0 +1,177 @@
+import { Vector2D } from '../lib/Vector2D.js';
+import { CollisionLayers } from '../lib/CollisionLayers.js';
+import { POWER_UPS } from '../data/powerUps.js';
+
+/**
+ * PowerUp - Pickup left behind by a destroyed asteroid
+ * Drifts and wraps like a rock, blinks before it runs out and is collected by flying
+ * the ship into it. Kinds and their effects are listed in data/powerUps.js
+ */
+export class PowerUp {
+    constructor(options = {}) {
+        this.kind = PowerUp.isKind(options.kind) ? options.kind : 'shield';
+        const definition = POWER_UPS[this.kind];
+
+        // Position and movement
+        this.position = options.position || new Vector2D(0, 0);
+        this.velocity = options.velocity || new Vector2D(0, 0);
+        this.rotation = options.rotation || 0; // Cosmetic spin of the frame
+        this.spinSpeed = 1.5; // radians/second
+
+        // Physical properties
+        this.radius = options.radius || 10;
+        this.color = definition.color;
+        this.symbol = definition.symbol;
+
+        // Lifespan management
+        this.lifespan = options.lifespan || 10000;
+        this.age = 0;
+        this.blinkDuration = 3000; // Blinks for the last 3 seconds
+
+        // State
+        this.type = 'powerUp';
+        this.isActive = true;
+        this.collisionLayer = CollisionLayers.pickup;
+        this.collisionMask = CollisionLayers.ship;
+
+        // Screen bounds for wrapping
+        this.screenWidth = options.screenWidth || 800;
+        this.screenHeight = options.screenHeight || 600;
+    }
+
+    /**
+     * Check if a kind of power-up exists
+     * @param {string} kind Power-up kind
+     * @returns {boolean} True for the kinds in data/powerUps.js
+     */
+    static isKind(kind) {
+        return Object.hasOwn(POWER_UPS, kind);
+    }
+
+    /**
+     * Drift, spin and age the pickup
+     * @param {number} deltaTime Time elapsed since last frame (milliseconds)
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+
+        const deltaSeconds = deltaTime / 1000;
+        this.position.add(this.velocity.clone().multiply(deltaSeconds));
+        this.rotation = (this.rotation + this.spinSpeed * deltaSeconds) % (Math.PI * 2);
+        this.wrapScreenEdges();
+
+        this.age += deltaTime;
+        if (this.age >= this.lifespan) {
+            this.isActive = false;
+        }
+    }
+
+    /**
+     * Wrap pickup position around screen edges
+     */
+    wrapScreenEdges() {
+        if (this.position.x < 0) {
+            this.position.x += this.screenWidth;
+        } else if (this.position.x >= this.screenWidth) {
+            this.position.x -= this.screenWidth;
+        }
+
+        if (this.position.y < 0) {
+            this.position.y += this.screenHeight;
+        } else if (this.position.y >= this.screenHeight) {
+            this.position.y -= this.screenHeight;
+        }
+    }
+
+    /**
+     * Check if the pickup is about to run out
+     * @returns {boolean} True during the final blinking seconds
+     */
+    isExpiring() {
+        return this.lifespan - this.age <= this.blinkDuration;
+    }
+
+    /**
+     * Get circular collision boundary
+     * @returns {Object} Collision bounds with position and radius
+     */
+    getBounds() {
+        return {
+            x: this.position.x,
+            y: this.position.y,
+            radius: this.radius
+        };
+    }
+
+    /**
+     * Draw the pickup: a spinning hexagon around its symbol
+     * @param {CanvasRenderingContext2D} context Canvas rendering context
+     */
+    draw(context) {
+        if (!this.isActive) return;
+
+        // Blink off every other 150 ms while expiring (by age, so a paused game doesn't flicker)
+        if (this.isExpiring() && Math.floor(this.age / 150) % 2 === 1) return;
+
+        context.save();
+        context.translate(this.position.x, this.position.y);
+
+        context.save();
+        context.rotate(this.rotation);
+        context.strokeStyle = this.color;
+        context.lineWidth = 2;
+        context.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const angle = (i / 6) * Math.PI * 2;
+            const x = Math.cos(angle) * this.radius;
+            const y = Math.sin(angle) * this.radius;
+            if (i === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+        context.closePath();
+        context.stroke();
+        context.restore();
+
+        context.fillStyle = this.color;
+        context.font = 'bold 11px "Courier New", monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(this.symbol, 0, 1);
+
+        context.restore();
+    }
+
+    /**
+     * Get pickup configuration for serialization
+     * @returns {Object} Pickup configuration
+     */
+    getConfig() {
+        return {
+            id: this.id,
+            kind: this.kind,
+            position: { x: this.position.x, y: this.position.y },
+            velocity: { x: this.velocity.x, y: this.velocity.y },
+            rotation: this.rotation,
+            lifespan: this.lifespan,
+            age: this.age,
+            isActive: this.isActive
+        };
+    }
+
+    /**
+     * Set pickup configuration from saved data
+     * @param {Object} config Pickup configuration
+     */
+    setConfig(config) {
+        this.id = config.id;
+        this.position.set(config.position.x, config.position.y);
+        this.velocity.set(config.velocity.x, config.velocity.y);
+        this.rotation = config.rotation || 0;
+        this.lifespan = config.lifespan || this.lifespan;
+        this.age = config.age || 0;
+        this.isActive = config.isActive !== false;
+    }
+}
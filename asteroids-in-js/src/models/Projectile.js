@@ -1,7 +1,8 @@
 import { Vector2D } from '../lib/Vector2D.js';
+import { CollisionLayers } from '../lib/CollisionLayers.js';
 
 /**
- * Projectile - Fast-moving bullets fired automatically by the player ship
+ * Projectile - Fast-moving bullets fired by the player ship or a saucer
  * Features limited lifespan, collision detection, and automatic cleanup
  */
 export class Projectile {
@@ -14,6 +15,10 @@ export class Projectile {
         // Physical properties
         this.radius = options.radius || 3;
         this.size = options.size || 2;
+        this.isFast = true; // Swept collision tests, so it can't tunnel through small asteroids
+        this.mass = options.mass ?? 1; // Heavier rounds push what they hit harder
+        this.pierce = options.pierce ?? 0; // Targets it passes through before stopping
+        this.hitTargets = new Set(); // Ids of targets already hit, so one contact counts once
 
         // Lifespan management
         this.lifespan = options.lifespan || 2000; // 2 seconds in milliseconds
@@ -23,9 +28,10 @@ export class Projectile {
         // State
         this.isActive = true;
         this.type = 'projectile';
+        this.collisionLayer = CollisionLayers.projectile;
 
-        // Visual properties
-        this.color = options.color || '#FFFFFF';
+        // Who fired it: decides what it can hit and who is credited for kills
+        this.setOwner(options.owner || 'ship', options.color);
 
         // Screen bounds for cleanup
         this.screenWidth = options.screenWidth || 800;
@@ -75,22 +81,49 @@ export class Projectile {
         }
     }
 
+    /**
+     * Set who fired this projectile
+     * Ship shots hit saucers, saucer shots hit the ship; both break asteroids
+     * @param {string} owner 'ship' or 'saucer'
+     * @param {string} color Color override (defaults to the owner's bullet color)
+     */
+    setOwner(owner, color) {
+        this.owner = owner;
+        this.collisionMask = CollisionLayers.asteroid | CollisionLayers.hazard |
+            (owner === 'saucer' ? CollisionLayers.ship : CollisionLayers.enemy);
+        this.color = color || (owner === 'saucer' ? '#FF6666' : '#FFFFFF');
+    }
+
     /**
      * Handle collision with another object
+     * A piercing projectile stays in contact with a target for several ticks; only the first counts
      * @param {Object} other The object that was collided with
      * @returns {boolean} True if collision should be processed
      */
     onCollision(other) {
-        if (!this.isActive) return false;
-
-        if (other.type === 'asteroid') {
-            this.destroy();
+        if (!this.isActive || this.hitTargets.has(other.id)) return false;
+
+        if (other.type === 'asteroid' || other.type === 'saucer' || other.type === 'ship') {
+            this.hitTargets.add(other.id);
+            if (this.pierce > 0) {
+                this.pierce--;
+            } else {
+                this.destroy();
+            }
             return true;
         }
 
         return false;
     }
 
+    /**
+     * Get the momentum this projectile delivers on impact
+     * @returns {Vector2D} Mass times velocity
+     */
+    getMomentum() {
+        return this.velocity.clone().multiply(this.mass);
+    }
+
     /**
      * Destroy this projectile
      */
@@ -246,10 +279,18 @@ export class Projectile {
      */
     getConfig() {
         return {
+            id: this.id,
             position: { x: this.position.x, y: this.position.y },
             velocity: { x: this.velocity.x, y: this.velocity.y },
+            startPosition: { x: this.startPosition.x, y: this.startPosition.y },
             age: this.age,
             lifespan: this.lifespan,
+            mass: this.mass,
+            pierce: this.pierce,
+            hitTargets: [...this.hitTargets],
+            radius: this.radius,
+            size: this.size,
+            owner: this.owner,
             isActive: this.isActive,
             color: this.color
         };
@@ -260,11 +301,20 @@ export class Projectile {
      * @param {Object} config Projectile configuration
      */
     setConfig(config) {
+        this.id = config.id;
         this.position.set(config.position.x, config.position.y);
         this.velocity.set(config.velocity.x, config.velocity.y);
+        if (config.startPosition) {
+            this.startPosition.set(config.startPosition.x, config.startPosition.y);
+        }
         this.age = config.age || 0;
         this.lifespan = config.lifespan || this.lifespan;
+        this.mass = config.mass ?? this.mass;
+        this.pierce = config.pierce ?? this.pierce;
+        this.hitTargets = new Set(config.hitTargets || []);
+        this.radius = config.radius ?? this.radius;
+        this.size = config.size ?? this.size;
         this.isActive = config.isActive !== false;
-        this.color = config.color || this.color;
+        this.setOwner(config.owner || 'ship', config.color);
     }
 }
@@ -0,0 +1,310 @@
+import { Vector2D } from '../lib/Vector2D.js';
+import { Polygon } from '../lib/Polygon.js';
+import { CollisionLayers } from '../lib/CollisionLayers.js';
+import { RandomStream } from '../services/RandomService.js';
+
+/**
+ * Presets for each kind of saucer
+ * radius: half the hull width
+ * speed: horizontal cruising speed in px/s
+ * fireInterval: milliseconds between shots
+ * aimError: largest random miss in radians when leading the ship (null = fires at random)
+ * turnInterval: milliseconds between zig-zag direction changes
+ */
+const KINDS = {
+    large: {
+        radius: 20,
+        speed: 80,
+        fireInterval: 1500,
+        aimError: null,
+        turnInterval: 1200,
+        color: '#FF5555'
+    },
+    small: {
+        radius: 10,
+        speed: 120,
+        fireInterval: 1100,
+        aimError: 0.12,
+        turnInterval: 800,
+        color: '#FFAA33'
+    }
+};
+
+/**
+ * Saucer - Flying saucer that crosses the screen in a zig-zag and shoots
+ * Large saucers fire in random directions; small ones lead the ship using its velocity.
+ * Its shots break asteroids as well as the ship. Spawned by Simulation on a timer
+ */
+export class Saucer {
+    constructor(options = {}) {
+        this.kind = KINDS[options.kind] ? options.kind : 'large';
+        const preset = KINDS[this.kind];
+
+        // Gameplay random stream
+        this.rng = options.rng || new RandomStream();
+
+        // Position and movement (heading: 1 = flying right, -1 = flying left)
+        this.position = options.position || new Vector2D(0, 0);
+        this.heading = options.heading === -1 ? -1 : 1;
+        this.speed = options.speed ?? preset.speed;
+        this.velocity = options.velocity || new Vector2D(this.heading * this.speed, 0);
+        this.rotation = 0;
+
+        // Physical properties
+        this.radius = options.radius ?? preset.radius;
+        this.color = options.color || preset.color;
+
+        // Weapons
+        this.fireInterval = options.fireInterval ?? preset.fireInterval;
+        this.fireCooldown = options.fireCooldown ?? this.fireInterval;
+        this.aimError = options.aimError !== undefined ? options.aimError : preset.aimError;
+        this.projectileSpeed = options.projectileSpeed ?? 300; // pixels/second
+
+        // Zig-zag flight: the vertical speed changes every turnInterval
+        this.turnInterval = options.turnInterval ?? preset.turnInterval;
+        this.turnTimer = options.turnTimer ?? this.turnInterval;
+
+        // A saucer leaves once it has crossed the screen
+        this.distanceTravelled = 0;
+
+        // Hull outline: a dome on a flat disc (matches the drawn shape)
+        const r = this.radius;
+        this.hull = [
+            new Vector2D(-r, 0),
+            new Vector2D(-r * 0.45, -r * 0.35),
+            new Vector2D(-r * 0.25, -r * 0.7),
+            new Vector2D(r * 0.25, -r * 0.7),
+            new Vector2D(r * 0.45, -r * 0.35),
+            new Vector2D(r, 0),
+            new Vector2D(r * 0.45, r * 0.4),
+            new Vector2D(-r * 0.45, r * 0.4)
+        ];
+        this.boundingRadius = Polygon.getBoundingRadius(this.hull);
+
+        // State
+        this.type = 'saucer';
+        this.isActive = true;
+        this.collisionLayer = CollisionLayers.enemy;
+        this.collisionMask = CollisionLayers.ship | CollisionLayers.asteroid |
+            CollisionLayers.projectile | CollisionLayers.hazard;
+
+        // Screen bounds for wrapping
+        this.screenWidth = options.screenWidth || 800;
+        this.screenHeight = options.screenHeight || 600;
+    }
+
+    /**
+     * Check if a kind of saucer exists
+     * @param {string} kind Saucer kind
+     * @returns {boolean} True for 'large' and 'small'
+     */
+    static isKind(kind) {
+        return Object.hasOwn(KINDS, kind);
+    }
+
+    /**
+     * Fly one step of the zig-zag and count down to the next shot
+     * @param {number} deltaTime Time elapsed since last frame (milliseconds)
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+
+        const deltaSeconds = deltaTime / 1000;
+
+        this.turnTimer -= deltaTime;
+        if (this.turnTimer <= 0) {
+            this.turnTimer += this.turnInterval;
+            this.velocity.y = this.rng.pick([-1, 0, 1]) * this.speed * 0.75;
+        }
+
+        this.position.add(this.velocity.clone().multiply(deltaSeconds));
+        this.distanceTravelled += Math.abs(this.velocity.x) * deltaSeconds;
+        this.wrapScreenEdges();
+
+        if (this.distanceTravelled >= this.screenWidth) {
+            this.isActive = false;
+            return;
+        }
+
+        this.fireCooldown = Math.max(0, this.fireCooldown - deltaTime);
+    }
+
+    /**
+     * Wrap saucer position around screen edges
+     */
+    wrapScreenEdges() {
+        if (this.position.x < 0) {
+            this.position.x += this.screenWidth;
+        } else if (this.position.x >= this.screenWidth) {
+            this.position.x -= this.screenWidth;
+        }
+
+        if (this.position.y < 0) {
+            this.position.y += this.screenHeight;
+        } else if (this.position.y >= this.screenHeight) {
+            this.position.y -= this.screenHeight;
+        }
+    }
+
+    /**
+     * Check if the saucer is ready to fire
+     * @returns {boolean} True once the cooldown has run out
+     */
+    canFire() {
+        return this.isActive && this.fireCooldown <= 0;
+    }
+
+    /**
+     * Fire at the ship if the cooldown allows
+     * @param {Ship} target Ship to shoot at (small saucers lead it)
+     * @returns {Object|null} Projectile options or null if can't fire
+     */
+    createProjectile(target) {
+        if (!this.canFire()) {
+            return null;
+        }
+
+        this.fireCooldown = this.fireInterval;
+
+        let direction;
+        if (this.aimError === null || !target) {
+            direction = this.rng.angle();
+        } else {
+            direction = this.getInterceptAngle(target) + this.rng.range(-this.aimError, this.aimError);
+        }
+
+        const aim = Vector2D.fromAngle(direction, 1);
+        return {
+            position: this.position.clone().add(aim.clone().multiply(this.boundingRadius + 4)),
+            velocity: aim.multiply(this.projectileSpeed),
+            owner: 'saucer'
+        };
+    }
+
+    /**
+     * Find the direction that hits a target moving at constant velocity
+     * Solves |offset + velocity·t| = projectileSpeed·t for the earliest t, taking the
+     * shortest way across the screen edges; aims straight at the target if it can't be caught
+     * @param {Object} target Entity with position and velocity
+     * @returns {number} Firing angle in radians
+     */
+    getInterceptAngle(target) {
+        const offset = target.position.clone().subtract(this.position);
+        if (offset.x > this.screenWidth / 2) offset.x -= this.screenWidth;
+        if (offset.x < -this.screenWidth / 2) offset.x += this.screenWidth;
+        if (offset.y > this.screenHeight / 2) offset.y -= this.screenHeight;
+        if (offset.y < -this.screenHeight / 2) offset.y += this.screenHeight;
+
+        const velocity = target.velocity || new Vector2D(0, 0);
+        const a = velocity.magnitudeSquared() - this.projectileSpeed * this.projectileSpeed;
+        const b = 2 * offset.dot(velocity);
+        const c = offset.magnitudeSquared();
+
+        let time = null;
+        if (Math.abs(a) < 1e-6) {
+            if (b < 0) time = -c / b;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant >= 0) {
+                const root = Math.sqrt(discriminant);
+                const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter(t => t > 0);
+                if (times.length > 0) time = Math.min(...times);
+            }
+        }
+
+        if (time !== null) {
+            offset.add(velocity.clone().multiply(time));
+        }
+        return Math.atan2(offset.y, offset.x);
+    }
+
+    /**
+     * Get circular collision boundary
+     * @returns {Object} Collision bounds with position and radius
+     */
+    getBounds() {
+        return {
+            x: this.position.x,
+            y: this.position.y,
+            radius: this.boundingRadius
+        };
+    }
+
+    /**
+     * Get the polygon used for precise collisions
+     * @returns {Array<Vector2D>} Hull relative to the center
+     */
+    getCollisionOutline() {
+        return this.hull;
+    }
+
+    /**
+     * Draw the saucer on the canvas
+     * @param {CanvasRenderingContext2D} context Canvas rendering context
+     */
+    draw(context) {
+        if (!this.isActive) return;
+
+        const r = this.radius;
+
+        context.save();
+        context.translate(this.position.x, this.position.y);
+        context.strokeStyle = this.color;
+        context.lineWidth = 1.5;
+
+        // Hull
+        context.beginPath();
+        this.hull.forEach((vertex, index) => {
+            if (index === 0) {
+                context.moveTo(vertex.x, vertex.y);
+            } else {
+                context.lineTo(vertex.x, vertex.y);
+            }
+        });
+        context.closePath();
+        context.stroke();
+
+        // Dome and rim lines
+        context.beginPath();
+        context.moveTo(-r * 0.45, -r * 0.35);
+        context.lineTo(r * 0.45, -r * 0.35);
+        context.moveTo(-r, 0);
+        context.lineTo(r, 0);
+        context.stroke();
+
+        context.restore();
+    }
+
+    /**
+     * Get saucer configuration for serialization
+     * @returns {Object} Saucer configuration
+     */
+    getConfig() {
+        return {
+            id: this.id,
+            kind: this.kind,
+            position: { x: this.position.x, y: this.position.y },
+            velocity: { x: this.velocity.x, y: this.velocity.y },
+            heading: this.heading,
+            fireCooldown: this.fireCooldown,
+            turnTimer: this.turnTimer,
+            distanceTravelled: this.distanceTravelled,
+            isActive: this.isActive
+        };
+    }
+
+    /**
+     * Set saucer configuration from saved data
+     * @param {Object} config Saucer configuration
+     */
+    setConfig(config) {
+        this.id = config.id;
+        this.position.set(config.position.x, config.position.y);
+        this.velocity.set(config.velocity.x, config.velocity.y);
+        this.heading = config.heading === -1 ? -1 : 1;
+        this.fireCooldown = config.fireCooldown ?? this.fireInterval;
+        this.turnTimer = config.turnTimer ?? this.turnInterval;
+        this.distanceTravelled = config.distanceTravelled || 0;
+        this.isActive = config.isActive !== false;
+    }
+}
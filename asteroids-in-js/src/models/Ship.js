@@ -1,11 +1,65 @@
 import { Vector2D } from '../lib/Vector2D.js';
+import { Polygon } from '../lib/Polygon.js';
+import { Drag } from '../lib/Drag.js';
+import { CollisionLayers } from '../lib/CollisionLayers.js';
+import { RandomStream } from '../services/RandomService.js';
+import { POWER_UPS } from '../data/powerUps.js';
 
 /**
- * Ship - Player-controlled spacecraft with automatic projectile firing
- * Handles movement, rotation, thrust, collision detection, and invulnerability
+ * How each fire mode uses the trigger
+ * manual: one shot per press, with a cap on the ship's bullets in flight
+ * auto: fires continuously (without holding the trigger unless auto-fire is switched off)
+ * burst: holding fires three quick rounds, then waits
+ * charge: hold to charge, release to fire; a full charge fires a heavy piercing round
+ * fireRate: milliseconds between shots (between bursts for burst)
+ */
+const FIRE_MODES = {
+    manual: {
+        fireRate: 100,
+        maxInFlight: 4
+    },
+    auto: {
+        fireRate: 250 // 4 shots per second
+    },
+    burst: {
+        fireRate: 600,
+        burstCount: 3,
+        burstInterval: 70
+    },
+    charge: {
+        fireRate: 250,
+        chargeDuration: 1000,
+        chargedShot: {
+            radius: 6,
+            size: 4,
+            mass: 4,
+            pierce: 3, // Asteroids it passes through before stopping
+            color: '#66CCFF'
+        }
+    }
+};
+
+/**
+ * Kinds of things that can hit the ship (anything else is left to the other entity)
+ * deflectable: the shield saves the ship from it (nothing saves a ship from a gravity well)
+ */
+const HAZARDS = {
+    asteroid: { deflectable: true },
+    saucer: { deflectable: true },
+    projectile: { deflectable: true },
+    gravityWell: { deflectable: false }
+};
+
+/**
+ * Ship - Player-controlled spacecraft with selectable fire modes
+ * Handles movement, rotation, thrust, collision detection, invulnerability, the energy
+ * shield and the timed power-ups that act on the ship
  */
 export class Ship {
     constructor(options = {}) {
+        // Gameplay random stream
+        this.rng = options.rng || new RandomStream();
+
         // Position and movement
         this.position = options.position instanceof Vector2D
             ? options.position
@@ -20,22 +74,62 @@ export class Ship {
         this.thrustPower = options.thrustPower || 200; // pixels/second²
         this.rotationSpeed = options.rotationSpeed || Math.PI; // radians/second (180°/s)
         this.maxVelocity = options.maxVelocity || 300; // pixels/second
-        this.drag = options.drag || 0.98; // Velocity decay factor
+        this.drag = options.drag || Drag.fromPerTick(0.98); // Velocity kept per second
+        this.mass = options.mass ?? 4; // About a small asteroid's, so the shield bounces it off anything bigger
 
         // Visual properties
         this.color = options.color || '#00FF88';
         this.size = options.size || 15;
 
+        // Hull outline for precise collisions (matches the drawn shape, nose along +x)
+        this.hull = [
+            new Vector2D(this.size, 0),
+            new Vector2D(-this.size * 0.7, -this.size * 0.7),
+            new Vector2D(-this.size * 0.3, 0),
+            new Vector2D(-this.size * 0.7, this.size * 0.7)
+        ];
+        this.hullBoundingRadius = Polygon.getBoundingRadius(this.hull);
+
+        // Shield bubble: replaces the hull as the collision shape while the shield is up
+        this.shieldRadius = this.hullBoundingRadius + 6;
+        this.shieldOutline = Array.from({ length: 16 }, (_, i) =>
+            Vector2D.fromAngle((i / 16) * Math.PI * 2, this.shieldRadius));
+
+        // Collision filtering
+        this.type = 'ship';
+        this.collisionLayer = CollisionLayers.ship;
+        this.collisionMask = CollisionLayers.asteroid | CollisionLayers.hazard |
+            CollisionLayers.projectile | CollisionLayers.enemy | CollisionLayers.pickup;
+
         // State
         this.isThrusting = false;
         this.isInvulnerable = false;
         this.invulnerabilityTimer = 0;
         this.invulnerabilityDuration = 2000; // 2 seconds in milliseconds
 
-        // Automatic firing
+        // Hyperspace: gone (invisible and untouchable) for a moment, then a wait before the next jump
+        this.hyperspaceDuration = 500; // milliseconds
+        this.hyperspaceCooldownDuration = 3000; // milliseconds, counted from the jump
+        this.hyperspaceRemaining = 0;
+        this.hyperspaceCooldown = 0;
+
+        // Shield: up while the shield key is held, draining energy; recharges while lowered
+        this.shieldCapacity = 100;
+        this.shieldEnergy = this.shieldCapacity;
+        this.shieldDrainRate = 20; // energy/second while up
+        this.shieldRechargeRate = 10; // energy/second while lowered
+        this.shieldImpactCost = 0.25; // energy per pixel/second of impact speed
+        this.isShieldRaised = false;
+
+        // Firing
         this.lastFireTime = 0;
-        this.fireRate = 250; // milliseconds between shots (4 shots per second)
         this.projectileSpeed = 400; // pixels/second
+        this.burstRemaining = 0; // Rounds left in the burst being fired
+        this.chargeTime = 0; // Milliseconds the trigger has been held in charge mode
+        this.setFireMode(options.fireMode || 'auto');
+
+        // Power-ups in effect: kind -> milliseconds remaining
+        this.powerUps = {};
 
         // Screen bounds for wrapping
         this.screenWidth = options.screenWidth || 800;
@@ -49,33 +143,36 @@ export class Ship {
     update(deltaTime) {
         const deltaSeconds = deltaTime / 1000;
 
+        this.hyperspaceCooldown = Math.max(0, this.hyperspaceCooldown - deltaTime);
+        this.updatePowerUps(deltaTime);
+        this.updateShield(deltaTime);
+
+        // Update invulnerability timer (it keeps running through a hyperspace jump)
+        if (this.isInvulnerable) {
+            this.invulnerabilityTimer -= deltaTime;
+            if (this.invulnerabilityTimer <= 0) {
+                this.isInvulnerable = false;
+                this.invulnerabilityTimer = 0;
+            }
+        }
+
+        // Nothing moves while the ship is in hyperspace (see updateHyperspace)
+        if (this.isInHyperspace()) return;
+
         // Apply thrust if active
         if (this.isThrusting) {
             const thrustVector = Vector2D.fromAngle(this.rotation, this.thrustPower * deltaSeconds);
             this.velocity.add(thrustVector);
         }
 
-        // Apply velocity to position
-        const movement = this.velocity.clone().multiply(deltaSeconds);
-        this.position.add(movement);
-
-        // Apply drag
-        this.velocity.multiply(this.drag);
+        // Move and apply drag
+        Drag.integrate(this.position, this.velocity, this.drag, deltaTime);
 
         // Limit maximum velocity
         this.velocity.limit(this.maxVelocity);
 
         // Handle screen wrapping
         this.wrapScreenEdges();
-
-        // Update invulnerability timer
-        if (this.isInvulnerable) {
-            this.invulnerabilityTimer -= deltaTime;
-            if (this.invulnerabilityTimer <= 0) {
-                this.isInvulnerable = false;
-                this.invulnerabilityTimer = 0;
-            }
-        }
     }
 
     /**
@@ -92,6 +189,64 @@ export class Ship {
         this.isThrusting = false;
     }
 
+    /**
+     * Hold the shield up (it stays down while out of energy)
+     */
+    raiseShield() {
+        this.isShieldRaised = true;
+    }
+
+    /**
+     * Let the shield down so it can recharge
+     */
+    lowerShield() {
+        this.isShieldRaised = false;
+    }
+
+    /**
+     * Check if the shield is protecting the ship
+     * @returns {boolean} True while raised with energy left, or while the shield power-up runs
+     */
+    isShieldUp() {
+        if (this.isInHyperspace()) return false;
+        return this.hasPowerUp('shield') || (this.isShieldRaised && this.shieldEnergy > 0);
+    }
+
+    /**
+     * Drain the shield while it's up and recharge it while it's lowered
+     * The shield power-up keeps the shield up without draining it
+     * @param {number} deltaTime Time elapsed since last tick (milliseconds)
+     */
+    updateShield(deltaTime) {
+        const deltaSeconds = deltaTime / 1000;
+
+        if (!this.isShieldRaised) {
+            this.shieldEnergy = Math.min(this.shieldCapacity, this.shieldEnergy + this.shieldRechargeRate * deltaSeconds);
+        } else if (!this.hasPowerUp('shield') && !this.isInHyperspace()) {
+            this.shieldEnergy = Math.max(0, this.shieldEnergy - this.shieldDrainRate * deltaSeconds);
+        }
+    }
+
+    /**
+     * Get shield state for the HUD
+     * @returns {Object} Energy, capacity and whether the shield is up
+     */
+    getShieldState() {
+        return {
+            up: this.isShieldUp(),
+            energy: this.shieldEnergy,
+            capacity: this.shieldCapacity
+        };
+    }
+
+    /**
+     * Radius of the circle enclosing the collision shape (the bubble while the shield is up)
+     * @returns {number} Bounding radius
+     */
+    get boundingRadius() {
+        return this.isShieldUp() ? this.shieldRadius : this.hullBoundingRadius;
+    }
+
     /**
      * Rotate the ship counter-clockwise
      * @param {number} deltaTime Time elapsed since last frame (milliseconds)
@@ -109,16 +264,230 @@ export class Ship {
     }
 
     /**
-     * Check if ship can fire a projectile (automatic firing)
+     * Check if a fire mode exists
+     * @param {string} mode Fire mode
+     * @returns {boolean} True for 'manual', 'auto', 'burst' and 'charge'
+     */
+    static isFireMode(mode) {
+        return Object.hasOwn(FIRE_MODES, mode);
+    }
+
+    /**
+     * Switch fire mode, dropping any burst or charge in progress
+     * @param {string} mode 'manual', 'auto', 'burst' or 'charge'
+     * @returns {boolean} True if the mode exists
+     */
+    setFireMode(mode) {
+        if (!Ship.isFireMode(mode)) {
+            console.warn('Unknown fire mode:', mode);
+            return false;
+        }
+
+        this.fireMode = mode;
+        this.fireRate = FIRE_MODES[mode].fireRate;
+        this.burstRemaining = 0;
+        this.chargeTime = 0;
+        return true;
+    }
+
+    /**
+     * Check if ship can fire a projectile
      * @param {number} currentTime Current timestamp
      * @returns {boolean} True if ship can fire
      */
     canFire(currentTime) {
-        return currentTime - this.lastFireTime >= this.fireRate;
+        return !this.isInHyperspace() && currentTime - this.lastFireTime >= this.getFireRate();
+    }
+
+    /**
+     * Get the time between shots, shortened while rapid fire is active
+     * @returns {number} Milliseconds between shots
+     */
+    getFireRate() {
+        if (this.hasPowerUp('rapidFire')) {
+            return this.fireRate * POWER_UPS.rapidFire.fireRateMultiplier;
+        }
+        return this.fireRate;
+    }
+
+    /**
+     * Start a power-up's effect, or top its timer back up if it's already running
+     * @param {string} kind Power-up kind (see data/powerUps.js)
+     * @param {number} duration Milliseconds the effect lasts
+     */
+    addPowerUp(kind, duration) {
+        this.powerUps[kind] = Math.max(this.powerUps[kind] || 0, duration);
+    }
+
+    /**
+     * Check if a power-up is in effect
+     * @param {string} kind Power-up kind
+     * @returns {boolean} True while its timer runs
+     */
+    hasPowerUp(kind) {
+        return this.powerUps[kind] > 0;
+    }
+
+    /**
+     * Count down the power-up timers, dropping the ones that ran out
+     * @param {number} deltaTime Time elapsed since last tick (milliseconds)
+     */
+    updatePowerUps(deltaTime) {
+        for (const kind of Object.keys(this.powerUps)) {
+            this.powerUps[kind] -= deltaTime;
+            if (this.powerUps[kind] <= 0) {
+                delete this.powerUps[kind];
+            }
+        }
+    }
+
+    /**
+     * Get the power-ups in effect for the HUD
+     * @returns {Array<Object>} kind, label, color and milliseconds remaining of each
+     */
+    getActivePowerUps() {
+        return Object.entries(this.powerUps).map(([kind, remaining]) => ({
+            kind,
+            label: POWER_UPS[kind].label,
+            color: POWER_UPS[kind].color,
+            remaining
+        }));
+    }
+
+    /**
+     * Check if the ship is in hyperspace
+     * @returns {boolean} True between a jump and re-entry
+     */
+    isInHyperspace() {
+        return this.hyperspaceRemaining > 0;
+    }
+
+    /**
+     * Check if the ship can jump to hyperspace
+     * @returns {boolean} True when not already jumping and the cooldown has run out
+     */
+    canHyperspace() {
+        return !this.isInHyperspace() && this.hyperspaceCooldown <= 0;
+    }
+
+    /**
+     * Jump to hyperspace, reappearing at a destination once the jump is over
+     * @param {Vector2D} destination Where the ship re-enters
+     */
+    enterHyperspace(destination) {
+        this.position.set(destination.x, destination.y);
+        if (this.previousPosition) {
+            this.previousPosition.set(destination.x, destination.y);
+        }
+        this.velocity.zero();
+        this.isThrusting = false;
+
+        this.hyperspaceRemaining = this.hyperspaceDuration;
+        this.hyperspaceCooldown = this.hyperspaceCooldownDuration;
+        this.collisionLayer = CollisionLayers.none;
+    }
+
+    /**
+     * Count down the hyperspace jump
+     * @param {number} deltaTime Time elapsed since last tick (milliseconds)
+     * @returns {boolean} True on the tick the ship re-enters
+     */
+    updateHyperspace(deltaTime) {
+        if (!this.isInHyperspace()) return false;
+
+        this.hyperspaceRemaining -= deltaTime;
+        if (this.hyperspaceRemaining > 0) return false;
+
+        // Gravity wells kept pulling while it was gone; it re-enters at rest
+        this.exitHyperspace();
+        this.velocity.zero();
+        return true;
+    }
+
+    /**
+     * Return from hyperspace immediately
+     */
+    exitHyperspace() {
+        this.hyperspaceRemaining = 0;
+        this.collisionLayer = CollisionLayers.ship;
+    }
+
+    /**
+     * Get hyperspace state for the HUD
+     * @returns {Object} Cooldown remaining and whether a jump is available
+     */
+    getHyperspaceState() {
+        return {
+            ready: this.canHyperspace(),
+            inHyperspace: this.isInHyperspace(),
+            cooldownRemaining: this.hyperspaceCooldown,
+            cooldownDuration: this.hyperspaceCooldownDuration
+        };
+    }
+
+    /**
+     * Work the trigger for one tick and fire as the fire mode dictates
+     * @param {Object} trigger { held, pressed, released } state of the fire action, and
+     *                         auto: whether auto mode fires without the trigger held
+     * @param {number} currentTime Current timestamp
+     * @param {number} deltaTime Time elapsed since last tick (milliseconds), for charging
+     * @param {number} shotsInFlight The ship's projectiles still flying (manual mode caps them)
+     * @returns {Object|null} Projectile data or null if nothing was fired
+     */
+    updateTrigger(trigger, currentTime, deltaTime, shotsInFlight = 0) {
+        if (this.isInHyperspace()) {
+            this.burstRemaining = 0;
+            this.chargeTime = 0;
+            return null;
+        }
+
+        const mode = FIRE_MODES[this.fireMode];
+
+        switch (this.fireMode) {
+            case 'manual':
+                if (trigger.pressed && shotsInFlight < mode.maxInFlight) {
+                    return this.createProjectile(currentTime);
+                }
+                return null;
+
+            case 'burst':
+                if (this.burstRemaining === 0 && trigger.held && this.canFire(currentTime)) {
+                    this.burstRemaining = mode.burstCount;
+                }
+                if (this.burstRemaining > 0 && currentTime - this.lastFireTime >= mode.burstInterval) {
+                    this.burstRemaining--;
+                    return this.fire(currentTime);
+                }
+                return null;
+
+            case 'charge':
+                if (trigger.held) {
+                    this.chargeTime = Math.min(mode.chargeDuration, this.chargeTime + deltaTime);
+                    return null;
+                }
+                if (trigger.released) {
+                    const charged = this.chargeTime >= mode.chargeDuration;
+                    this.chargeTime = 0;
+                    return charged ? this.fire(currentTime, mode.chargedShot) : this.createProjectile(currentTime);
+                }
+                return null;
+
+            default:
+                return trigger.auto || trigger.held ? this.createProjectile(currentTime) : null;
+        }
     }
 
     /**
-     * Create a projectile fired from this ship (automatic firing)
+     * Get how far a charge shot has charged
+     * @returns {number} Charge (0-1), 0 outside charge mode
+     */
+    getChargeLevel() {
+        if (this.fireMode !== 'charge') return 0;
+        return this.chargeTime / FIRE_MODES.charge.chargeDuration;
+    }
+
+    /**
+     * Create a projectile fired from this ship, if the fire rate allows
      * @param {number} currentTime Current timestamp
      * @returns {Object|null} Projectile data or null if can't fire
      */
@@ -127,6 +496,16 @@ export class Ship {
             return null;
         }
 
+        return this.fire(currentTime);
+    }
+
+    /**
+     * Fire a projectile from the nose, regardless of the fire rate
+     * @param {number} currentTime Current timestamp
+     * @param {Object} shot Extra projectile options (charged rounds are bigger and heavier)
+     * @returns {Object} Projectile data
+     */
+    fire(currentTime, shot = {}) {
         this.lastFireTime = currentTime;
 
         // Calculate projectile starting position (front of ship)
@@ -138,7 +517,12 @@ export class Ship {
         const projectileDirection = Vector2D.fromAngle(this.rotation, this.projectileSpeed);
         projectileVelocity.add(projectileDirection);
 
+        if (this.hasPowerUp('piercing')) {
+            shot = { ...shot, pierce: (shot.pierce || 0) + POWER_UPS.piercing.pierce };
+        }
+
         return {
+            ...shot,
             position: projectilePosition,
             velocity: projectileVelocity,
             rotation: this.rotation
@@ -147,20 +531,46 @@ export class Ship {
 
     /**
      * Handle collision with another object
+     * The shield takes a hit for energy in proportion to how fast the two were closing;
+     * a hit harder than the energy left breaks through and destroys the ship
      * @param {Object} other The object that was collided with
+     * @param {Object} collision Collision data with the contact normal (omit for contacts without one)
+     * @returns {Object} { outcome: 'ignored' | 'deflected' | 'destroyed', impactSpeed, energyUsed }
      */
-    onCollision(other) {
-        if (this.isInvulnerable) {
-            return false; // No collision during invulnerability
+    onCollision(other, collision = null) {
+        const hazard = HAZARDS[other.type];
+        if (!hazard || this.isInvulnerable) {
+            return { outcome: 'ignored', impactSpeed: 0, energyUsed: 0 }; // No collision during invulnerability
         }
 
-        // Handle collision based on object type
-        if (other.type === 'asteroid') {
-            this.destroy();
-            return true;
+        const impactSpeed = this.getImpactSpeed(other, collision);
+
+        if (hazard.deflectable && this.isShieldUp()) {
+            const energyUsed = this.hasPowerUp('shield') ? 0 : impactSpeed * this.shieldImpactCost;
+            if (energyUsed <= this.shieldEnergy) {
+                this.shieldEnergy -= energyUsed;
+                return { outcome: 'deflected', impactSpeed, energyUsed };
+            }
+            this.shieldEnergy = 0;
         }
 
-        return false;
+        this.destroy();
+        return { outcome: 'destroyed', impactSpeed, energyUsed: 0 };
+    }
+
+    /**
+     * Get how fast the ship and another object were closing when they touched
+     * @param {Object} other The object that was collided with
+     * @param {Object|null} collision Collision data with the contact normal
+     * @returns {number} Closing speed along the normal in pixels/second (0 if moving apart)
+     */
+    getImpactSpeed(other, collision) {
+        if (!collision || !other.velocity) return 0;
+
+        // The normal points from entity A to entity B; swap the difference if the ship is B
+        const relativeVelocity = other.velocity.clone().subtract(this.velocity);
+        const approach = relativeVelocity.dot(collision.normal) * (collision.entityA === this ? 1 : -1);
+        return Math.max(0, -approach);
     }
 
     /**
@@ -177,6 +587,11 @@ export class Ship {
         // Reset position to center
         this.position.set(this.screenWidth / 2, this.screenHeight / 2);
 
+        // Don't blend the jump back to center during render interpolation
+        if (this.previousPosition) {
+            this.previousPosition.set(this.position.x, this.position.y);
+        }
+
         // Reset velocity
         this.velocity.zero();
 
@@ -186,6 +601,18 @@ export class Ship {
         // Stop thrust
         this.isThrusting = false;
 
+        // A jump in progress is over
+        this.exitHyperspace();
+        this.hyperspaceCooldown = 0;
+
+        // So is a burst or a charge
+        this.burstRemaining = 0;
+        this.chargeTime = 0;
+
+        // Power-ups are lost with the ship; the shield comes back fully charged
+        this.powerUps = {};
+        this.shieldEnergy = this.shieldCapacity;
+
         // Enable invulnerability
         this.isInvulnerable = true;
         this.invulnerabilityTimer = this.invulnerabilityDuration;
@@ -196,15 +623,15 @@ export class Ship {
      */
     wrapScreenEdges() {
         if (this.position.x < 0) {
-            this.position.x = this.screenWidth;
-        } else if (this.position.x > this.screenWidth) {
-            this.position.x = 0;
+            this.position.x += this.screenWidth;
+        } else if (this.position.x >= this.screenWidth) {
+            this.position.x -= this.screenWidth;
         }
 
         if (this.position.y < 0) {
-            this.position.y = this.screenHeight;
-        } else if (this.position.y > this.screenHeight) {
-            this.position.y = 0;
+            this.position.y += this.screenHeight;
+        } else if (this.position.y >= this.screenHeight) {
+            this.position.y -= this.screenHeight;
         }
     }
 
@@ -220,11 +647,21 @@ export class Ship {
         };
     }
 
+    /**
+     * Get the polygon used for precise collisions
+     * @returns {Array<Vector2D>} Hull (or shield bubble) relative to the center, before rotation
+     */
+    getCollisionOutline() {
+        return this.isShieldUp() ? this.shieldOutline : this.hull;
+    }
+
     /**
      * Draw the ship on the canvas
      * @param {CanvasRenderingContext2D} context Canvas rendering context
      */
     draw(context) {
+        if (this.isInHyperspace()) return;
+
         context.save();
 
         // Move to ship position
@@ -257,6 +694,7 @@ export class Ship {
             context.fillStyle = '#FF8800';
             context.lineWidth = 1;
 
+            // Render-only flicker: runs once per display frame, so it stays off the seeded streams
             const flameLength = this.size * 0.8 + Math.random() * 4;
             context.beginPath();
             context.moveTo(-this.size * 0.3, 0);
@@ -269,6 +707,28 @@ export class Ship {
             context.stroke();
         }
 
+        // Charge glow at the nose, growing until the shot is fully charged
+        const charge = this.getChargeLevel();
+        if (charge > 0) {
+            context.fillStyle = FIRE_MODES.charge.chargedShot.color;
+            context.globalAlpha = charge >= 1 ? 0.9 : 0.3 + charge * 0.4;
+            context.beginPath();
+            context.arc(this.size + 2, 0, 2 + charge * 3, 0, Math.PI * 2);
+            context.fill();
+        }
+
+        // Shield bubble, fading as the energy runs down (a power-up shield flickers in its last two seconds)
+        const flickering = this.hasPowerUp('shield') && this.powerUps.shield <= 2000 &&
+            Math.floor(this.powerUps.shield / 150) % 2 === 1;
+        if (this.isShieldUp() && !flickering) {
+            context.strokeStyle = POWER_UPS.shield.color;
+            context.globalAlpha = this.hasPowerUp('shield') ? 0.7 : 0.3 + 0.5 * this.shieldEnergy / this.shieldCapacity;
+            context.lineWidth = 1.5;
+            context.beginPath();
+            context.arc(0, 0, this.shieldRadius, 0, Math.PI * 2);
+            context.stroke();
+        }
+
         context.restore();
     }
 
@@ -282,8 +742,18 @@ export class Ship {
             velocity: { x: this.velocity.x, y: this.velocity.y },
             rotation: this.rotation,
             color: this.color,
+            isThrusting: this.isThrusting,
             isInvulnerable: this.isInvulnerable,
-            invulnerabilityTimer: this.invulnerabilityTimer
+            invulnerabilityTimer: this.invulnerabilityTimer,
+            lastFireTime: this.lastFireTime,
+            fireMode: this.fireMode,
+            burstRemaining: this.burstRemaining,
+            chargeTime: this.chargeTime,
+            hyperspaceRemaining: this.hyperspaceRemaining,
+            hyperspaceCooldown: this.hyperspaceCooldown,
+            powerUps: { ...this.powerUps },
+            shieldEnergy: this.shieldEnergy,
+            isShieldRaised: this.isShieldRaised
         };
     }
 
@@ -296,7 +766,18 @@ export class Ship {
         this.velocity.set(config.velocity.x, config.velocity.y);
         this.rotation = config.rotation;
         this.color = config.color || this.color;
+        this.isThrusting = config.isThrusting || false;
         this.isInvulnerable = config.isInvulnerable || false;
         this.invulnerabilityTimer = config.invulnerabilityTimer || 0;
+        this.lastFireTime = config.lastFireTime || 0;
+        this.setFireMode(config.fireMode || 'auto');
+        this.burstRemaining = config.burstRemaining || 0;
+        this.chargeTime = config.chargeTime || 0;
+        this.hyperspaceRemaining = config.hyperspaceRemaining || 0;
+        this.hyperspaceCooldown = config.hyperspaceCooldown || 0;
+        this.powerUps = { ...config.powerUps };
+        this.shieldEnergy = config.shieldEnergy ?? this.shieldCapacity;
+        this.isShieldRaised = config.isShieldRaised || false;
+        this.collisionLayer = this.isInHyperspace() ? CollisionLayers.none : CollisionLayers.ship;
     }
 }
@@ -0,0 +1,121 @@
+import { Simulation } from '../Simulation.js';
+import { Vector2D } from '../lib/Vector2D.js';
+
+/**
+ * CollisionBenchmark - Built-in stress scenario for a full simulation tick
+ * Starts a headless game at the real play-area size, packs it with asteroids and times
+ * whole Simulation.step() calls: input, gravity, movement, collision detection and
+ * response, effects and the rewind snapshot. The ship is in god mode and keeps auto-firing,
+ * so the field churns the way a real game does. Runs headless, in the browser (dev console
+ * "bench") or from a Node script
+ */
+export class CollisionBenchmark {
+    /**
+     * @param {Object} options entityCount, ticks, warmupTicks, tickRate, seed,
+     *                         width and height (the game's 800x600 unless given),
+     *                         clock (object with now() in milliseconds)
+     */
+    constructor(options = {}) {
+        this.entityCount = options.entityCount ?? 2000;
+        this.ticks = options.ticks ?? 300;
+        this.warmupTicks = options.warmupTicks ?? 10; // Untimed: lets the engine warm up
+        this.tickRate = options.tickRate ?? 60;
+        this.seed = options.seed ?? 1;
+        this.width = options.width ?? 800;
+        this.height = options.height ?? 600;
+        this.clock = options.clock || { now: () => performance.now() };
+    }
+
+    /**
+     * Run the scenario
+     * @returns {Object} Result with success, timings in milliseconds and a summary message
+     *                   saying whether the 60 FPS frame budget was met
+     */
+    run() {
+        if (!Number.isInteger(this.entityCount) || this.entityCount < 1) {
+            return { success: false, reason: 'Entity count must be a positive whole number' };
+        }
+        if (!Number.isInteger(this.ticks) || this.ticks < 1) {
+            return { success: false, reason: 'Tick count must be a positive whole number' };
+        }
+
+        const simulation = this.createSimulation();
+
+        const tickTimes = [];
+        let collisionChecks = 0;
+        let entityTotal = 0;
+
+        for (let tick = 0; tick < this.warmupTicks + this.ticks; tick++) {
+            const start = this.clock.now();
+            simulation.step({});
+            const elapsed = this.clock.now() - start;
+
+            if (tick >= this.warmupTicks) {
+                tickTimes.push(elapsed);
+                collisionChecks += simulation.physicsEngine.collisionChecks;
+                entityTotal += simulation.entityManager.getEntityCounts().total;
+            }
+        }
+
+        simulation.destroy();
+
+        const averageTickTime = tickTimes.reduce((sum, time) => sum + time, 0) / tickTimes.length;
+        const sorted = [...tickTimes].sort((a, b) => a - b);
+        const p95TickTime = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+        const worstTickTime = sorted[sorted.length - 1];
+        const frameBudget = 1000 / 60;
+        const fitsFrameBudget = p95TickTime < frameBudget;
+        const averageEntities = entityTotal / this.ticks;
+
+        return {
+            success: true,
+            entityCount: this.entityCount,
+            averageEntities,
+            world: { width: this.width, height: this.height },
+            ticks: this.ticks,
+            averageTickTime,
+            p95TickTime,
+            worstTickTime,
+            averageChecks: collisionChecks / this.ticks,
+            frameBudget,
+            fitsFrameBudget,
+            message: `${fitsFrameBudget ? 'Within' : 'OVER'} the 60 FPS budget: ` +
+                `${this.entityCount} asteroids (avg ${averageEntities.toFixed(0)} entities) in ${this.width}x${this.height}, ` +
+                `full tick avg ${averageTickTime.toFixed(2)}ms  p95 ${p95TickTime.toFixed(2)}ms  worst ${worstTickTime.toFixed(2)}ms  ` +
+                `(p95 is ${(p95TickTime / frameBudget * 100).toFixed(0)}% of ${frameBudget.toFixed(2)}ms)  ` +
+                `checks/tick ${(collisionChecks / this.ticks).toFixed(0)}`
+        };
+    }
+
+    /**
+     * Start a game and replace its first wave with the benchmark's asteroids
+     * @returns {Simulation} Simulation ready to step
+     */
+    createSimulation() {
+        const simulation = new Simulation({
+            width: this.width,
+            height: this.height,
+            tickRate: this.tickRate,
+            seed: this.seed
+        });
+        simulation.setAsteroidCollisionMode('on'); // Rocks bounce off each other, the costlier setting
+        simulation.startNewGame('medium', '#00FF88', this.seed);
+        simulation.setGodMode(true);
+
+        const { entityManager } = simulation;
+        entityManager.asteroids.forEach(asteroid => asteroid.isActive = false);
+        entityManager.update();
+
+        const rng = simulation.random.stream('gameplay');
+        for (let i = 0; i < this.entityCount; i++) {
+            const roll = rng.next();
+            entityManager.createAsteroid({
+                position: new Vector2D(rng.next() * this.width, rng.next() * this.height),
+                velocity: Vector2D.fromAngle(rng.angle(), rng.range(20, 80)),
+                size: roll < 0.1 ? 'large' : roll < 0.35 ? 'medium' : 'small'
+            });
+        }
+
+        return simulation;
+    }
+}
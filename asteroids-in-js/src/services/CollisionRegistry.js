@@ -0,0 +1,88 @@
+/**
+ * CollisionRegistry - Maps pairs of entity types to collision response handlers
+ * Gameplay registers what happens when, say, a projectile meets an asteroid; the
+ * collision loop just dispatches each detected pair, so new entity types add a handler
+ * instead of another branch
+ */
+export class CollisionRegistry {
+    constructor() {
+        // "typeA|typeB" -> { handler, swapped }; each pair is stored in both orders
+        this.responses = new Map();
+    }
+
+    /**
+     * Register the response to a pair of entity types
+     * @param {string} typeA First entity type
+     * @param {string} typeB Second entity type
+     * @param {Function} handler Called with (entity of typeA, entity of typeB, collision)
+     * @returns {Function} Function that removes the response
+     */
+    register(typeA, typeB, handler) {
+        if (this.has(typeA, typeB)) {
+            console.warn(`Replacing collision response for ${typeA}/${typeB}`);
+        }
+
+        this.responses.set(this.getKey(typeA, typeB), { handler, swapped: false });
+        if (typeA !== typeB) {
+            this.responses.set(this.getKey(typeB, typeA), { handler, swapped: true });
+        }
+
+        return () => this.unregister(typeA, typeB);
+    }
+
+    /**
+     * Remove the response to a pair of entity types
+     * @param {string} typeA First entity type
+     * @param {string} typeB Second entity type
+     */
+    unregister(typeA, typeB) {
+        this.responses.delete(this.getKey(typeA, typeB));
+        this.responses.delete(this.getKey(typeB, typeA));
+    }
+
+    /**
+     * Check if a pair of entity types has a response
+     * @param {string} typeA First entity type
+     * @param {string} typeB Second entity type
+     * @returns {boolean} True if registered
+     */
+    has(typeA, typeB) {
+        return this.responses.has(this.getKey(typeA, typeB));
+    }
+
+    /**
+     * Run the response for a detected collision
+     * The handler receives the entities in the order its types were registered
+     * @param {Object} collision Collision data from PhysicsEngine.detectCollisions
+     * @returns {boolean} True if a response was registered for the pair
+     */
+    dispatch(collision) {
+        const { entityA, entityB } = collision;
+        const response = this.responses.get(this.getKey(entityA.type, entityB.type));
+        if (!response) return false;
+
+        if (response.swapped) {
+            response.handler(entityB, entityA, collision);
+        } else {
+            response.handler(entityA, entityB, collision);
+        }
+        return true;
+    }
+
+    /**
+     * Remove every response
+     */
+    clear() {
+        this.responses.clear();
+    }
+
+    /**
+     * Build the lookup key for an ordered pair of types
+     * @param {string} typeA First entity type
+     * @param {string} typeB Second entity type
+     * @returns {string} Key
+     */
+    getKey(typeA, typeB) {
+        return `${typeA}|${typeB}`;
+    }
+}
@@ -1,20 +1,42 @@
 import { Asteroid } from '../models/Asteroid.js';
 import { Projectile } from '../models/Projectile.js';
 import { Particle } from '../models/Particle.js';
+import { GravityWell } from '../models/GravityWell.js';
+import { Saucer } from '../models/Saucer.js';
+import { PowerUp } from '../models/PowerUp.js';
+import { POWER_UPS } from '../data/powerUps.js';
+import { Vector2D } from '../lib/Vector2D.js';
+import { RandomService } from './RandomService.js';
+import { EventBus, GameEvents } from './EventBus.js';
 
 /**
  * EntityManager - Manages game object lifecycle and collections
  * Provides object pooling, entity tracking, and efficient collection management
  */
 export class EntityManager {
-    constructor(screenWidth = 800, screenHeight = 600) {
+    constructor(screenWidth = 800, screenHeight = 600, random = new RandomService(), events = new EventBus()) {
         this.screenWidth = screenWidth;
         this.screenHeight = screenHeight;
 
+        // Separate random streams so visual effects never shift the gameplay sequence
+        this.random = random;
+        this.gameplayRandom = random.stream('gameplay');
+        this.cosmeticRandom = random.stream('cosmetic');
+
+        // Visual effects are spawned in response to game events
+        this.events = events;
+        this.subscribeToEvents();
+
         // Entity collections
         this.asteroids = [];
         this.projectiles = [];
         this.particles = [];
+        this.gravityWells = [];
+        this.saucers = [];
+        this.powerUps = [];
+
+        // What destroyed asteroids drop (set per game from data/powerUps.js; none until then)
+        this.dropTable = null;
 
         // Object pools for performance optimization
         this.projectilePool = [];
@@ -32,32 +54,48 @@ export class EntityManager {
     }
 
     /**
-     * Update all managed entities
-     * @param {number} deltaTime Time elapsed since last frame
+     * Spawn explosions for destroyed ships, asteroids and saucers,
+     * and bursts where the ship vanished into hyperspace, collected a power-up or its shield took a hit
      */
-    update(deltaTime) {
-        // Update asteroids
-        for (const asteroid of this.asteroids) {
-            if (asteroid.isActive) {
-                asteroid.update(deltaTime);
-            }
-        }
+    subscribeToEvents() {
+        this.events.on(GameEvents.shipDestroyed, ({ position, color }) => {
+            this.createParticleEffect('explosion', { position, color, count: 10 });
+        });
 
-        // Update projectiles
-        for (const projectile of this.projectiles) {
-            if (projectile.isActive) {
-                projectile.update(deltaTime);
-            }
-        }
+        this.events.on(GameEvents.asteroidDestroyed, ({ position, color, radius }) => {
+            this.createParticleEffect('explosion', {
+                position,
+                color,
+                count: 6 + Math.floor(radius / 10)
+            });
+        });
 
-        // Update particles
-        for (const particle of this.particles) {
-            if (particle.isActive) {
-                particle.update(deltaTime);
-            }
-        }
+        this.events.on(GameEvents.saucerDestroyed, ({ position, color }) => {
+            this.createParticleEffect('explosion', { position, color, count: 12 });
+        });
+
+        this.events.on(GameEvents.entitySwallowed, ({ position, color }) => {
+            this.createParticleEffect('explosion', { position, color, count: 4, speed: 40 });
+        });
+
+        this.events.on(GameEvents.hyperspaceJumped, ({ from, color }) => {
+            this.createParticleEffect('explosion', { position: from, color, count: 6, speed: 60 });
+        });
 
-        // Clean up inactive entities
+        this.events.on(GameEvents.powerUpCollected, ({ position, color }) => {
+            this.createParticleEffect('explosion', { position, color, count: 5, speed: 50 });
+        });
+
+        this.events.on(GameEvents.shieldHit, ({ position }) => {
+            this.createParticleEffect('explosion', { position, color: POWER_UPS.shield.color, count: 4, speed: 40 });
+        });
+    }
+
+    /**
+     * Finish a simulation tick
+     * Entities are advanced by PhysicsEngine; this recycles the ones that became inactive
+     */
+    update() {
         this.cleanupInactiveEntities();
     }
 
@@ -70,6 +108,7 @@ export class EntityManager {
         const asteroid = new Asteroid({
             screenWidth: this.screenWidth,
             screenHeight: this.screenHeight,
+            rng: this.gameplayRandom,
             ...options
         });
 
@@ -93,7 +132,8 @@ export class EntityManager {
             playerPosition,
             difficulty,
             this.screenWidth,
-            this.screenHeight
+            this.screenHeight,
+            this.gameplayRandom
         );
 
         for (const asteroid of asteroids) {
@@ -105,6 +145,154 @@ export class EntityManager {
         return asteroids;
     }
 
+    /**
+     * Place a level's gravity wells, replacing any from the previous level
+     * @param {Array<Object>} definitions Well definitions from level data: kind, x and y as
+     *                                    fractions of the screen, optional belt { count, distance, size }
+     * @returns {Array<GravityWell>} Created wells
+     */
+    createGravityWells(definitions) {
+        this.gravityWells.forEach(well => well.isActive = false);
+        this.gravityWells = [];
+
+        for (const definition of definitions) {
+            const well = this.createGravityWell({
+                ...definition,
+                position: new Vector2D(definition.x * this.screenWidth, definition.y * this.screenHeight)
+            });
+
+            if (definition.belt) {
+                this.createAsteroidBelt(well, definition.belt);
+            }
+        }
+
+        return this.gravityWells;
+    }
+
+    /**
+     * Create a single gravity well
+     * @param {Object} options Well options (kind, position, and overrides of the kind's preset)
+     * @returns {GravityWell} Created well
+     */
+    createGravityWell(options = {}) {
+        const well = new GravityWell(options);
+
+        well.id = this.nextEntityId++;
+        this.gravityWells.push(well);
+        this.entitiesCreated++;
+
+        return well;
+    }
+
+    /**
+     * Put asteroids in circular orbit around a well
+     * @param {GravityWell} well Well to orbit
+     * @param {Object} belt { count, distance, size }
+     * @returns {Array<Asteroid>} Created asteroids
+     */
+    createAsteroidBelt(well, belt) {
+        const asteroids = [];
+        const startAngle = this.gameplayRandom.angle();
+
+        // Circular orbit speed: v² = strength / distance
+        const speed = Math.sqrt(well.strength / Math.max(belt.distance, well.softening));
+
+        for (let i = 0; i < belt.count; i++) {
+            const angle = startAngle + (i / belt.count) * Math.PI * 2;
+            const position = Vector2D.fromAngle(angle, belt.distance).add(well.position);
+            position.x = ((position.x % this.screenWidth) + this.screenWidth) % this.screenWidth;
+            position.y = ((position.y % this.screenHeight) + this.screenHeight) % this.screenHeight;
+
+            asteroids.push(this.createAsteroid({
+                position,
+                velocity: Vector2D.fromAngle(angle + Math.PI / 2, speed),
+                size: belt.size || 'small'
+            }));
+        }
+
+        return asteroids;
+    }
+
+    /**
+     * Create a flying saucer
+     * @param {Object} options Saucer options (kind, position, heading)
+     * @returns {Saucer} Created saucer
+     */
+    createSaucer(options = {}) {
+        const saucer = new Saucer({
+            screenWidth: this.screenWidth,
+            screenHeight: this.screenHeight,
+            rng: this.gameplayRandom,
+            ...options
+        });
+
+        saucer.id = this.nextEntityId++;
+        this.saucers.push(saucer);
+        this.entitiesCreated++;
+
+        return saucer;
+    }
+
+    /**
+     * Set the drop table rolled whenever an asteroid is destroyed
+     * @param {Object|null} table Drop table from data/powerUps.js, or null for no drops
+     */
+    setDropTable(table) {
+        this.dropTable = table;
+    }
+
+    /**
+     * Create a power-up pickup
+     * @param {Object} options Pickup options (kind, position, velocity, lifespan)
+     * @returns {PowerUp} Created pickup
+     */
+    createPowerUp(options = {}) {
+        const powerUp = new PowerUp({
+            screenWidth: this.screenWidth,
+            screenHeight: this.screenHeight,
+            ...options
+        });
+
+        powerUp.id = this.nextEntityId++;
+        this.powerUps.push(powerUp);
+        this.entitiesCreated++;
+
+        return powerUp;
+    }
+
+    /**
+     * Roll the drop table for a destroyed asteroid and maybe leave a pickup where it was
+     * @param {Asteroid} asteroid Asteroid that was destroyed
+     * @returns {PowerUp|null} Dropped pickup
+     */
+    dropPowerUp(asteroid) {
+        if (!this.dropTable) return null;
+
+        const chance = this.dropTable.chance[asteroid.size] ?? 0;
+        if (!this.gameplayRandom.chance(chance)) return null;
+
+        const kind = this.gameplayRandom.pickWeighted(this.dropTable.weights);
+        if (!kind) return null;
+
+        return this.createPowerUp({
+            kind,
+            position: asteroid.position.clone(),
+            velocity: asteroid.velocity.clone().multiply(0.5),
+            lifespan: this.dropTable.lifespan
+        });
+    }
+
+    /**
+     * Destroy a saucer
+     * @param {Saucer} saucer Saucer to destroy
+     */
+    destroySaucer(saucer) {
+        if (!saucer.isActive) return;
+
+        saucer.isActive = false;
+        this.entitiesDestroyed++;
+    }
+
     /**
      * Create a projectile (with object pooling)
      * @param {Object} options Projectile creation options
@@ -120,9 +308,21 @@ export class EntityManager {
             // Reset projectile properties
             projectile.position.set(options.position.x, options.position.y);
             projectile.velocity.set(options.velocity.x, options.velocity.y);
+            projectile.startPosition.set(options.position.x, options.position.y);
             projectile.age = 0;
+            projectile.lifespan = options.lifespan || 2000;
+            projectile.maxDistance = options.maxDistance || 1000;
+            projectile.mass = options.mass ?? 1;
+            projectile.pierce = options.pierce ?? 0;
+            projectile.hitTargets.clear();
+            projectile.radius = options.radius || 3;
+            projectile.size = options.size || 2;
+            projectile.setOwner(options.owner || 'ship', options.color);
             projectile.isActive = true;
 
+            // Its last flight's position would read as a sweep across the screen
+            delete projectile.previousPosition;
+
             this.poolHits++;
         } else {
             // Create new projectile
@@ -140,6 +340,34 @@ export class EntityManager {
         return projectile;
     }
 
+    /**
+     * Fan one shot out into several projectiles (new instances, not pooled)
+     * @param {Object} shot Projectile data from the ship (position, velocity, rotation and options)
+     * @param {number} speed Muzzle speed; anything beyond it in the shot's velocity is inherited motion
+     * @param {number} count Number of projectiles
+     * @param {number} spread Angle between the outer projectiles in radians
+     * @returns {Array<Projectile>} Created projectiles
+     */
+    createProjectileSpread(shot, speed, count, spread) {
+        const { position, velocity, rotation, ...options } = shot;
+        const inherited = velocity.clone().subtract(Vector2D.fromAngle(rotation, speed));
+
+        const projectiles = Projectile.createSpread(position, rotation, speed, count, spread, {
+            screenWidth: this.screenWidth,
+            screenHeight: this.screenHeight,
+            ...options
+        });
+
+        for (const projectile of projectiles) {
+            projectile.velocity.add(inherited);
+            projectile.id = this.nextEntityId++;
+            this.projectiles.push(projectile);
+            this.entitiesCreated++;
+        }
+
+        return projectiles;
+    }
+
     /**
      * Create particle effects (with object pooling)
      * @param {string} type Type of particle effect
@@ -179,7 +407,7 @@ export class EntityManager {
             speed = 100
         } = options;
 
-        const particles = Particle.createExplosion(position, color, count, { speed });
+        const particles = Particle.createExplosion(position, color, count, { speed, rng: this.cosmeticRandom });
 
         for (const particle of particles) {
             particle.id = this.nextEntityId++;
@@ -203,7 +431,7 @@ export class EntityManager {
             count = 6
         } = options;
 
-        const particles = Particle.createDebris(position, velocity, color, count);
+        const particles = Particle.createDebris(position, velocity, color, count, { rng: this.cosmeticRandom });
 
         for (const particle of particles) {
             particle.id = this.nextEntityId++;
@@ -227,7 +455,7 @@ export class EntityManager {
             count = 5
         } = options;
 
-        const particles = Particle.createSparks(position, direction, color, count);
+        const particles = Particle.createSparks(position, direction, color, count, { rng: this.cosmeticRandom });
 
         for (const particle of particles) {
             particle.id = this.nextEntityId++;
@@ -240,19 +468,14 @@ export class EntityManager {
 
     /**
      * Handle asteroid destruction and splitting
+     * May also drop a power-up, as the drop table decides
      * @param {Asteroid} asteroid Asteroid to destroy
+     * @param {Object} impact Optional { point, direction, impulse } the rock fractures from
      * @returns {Array<Asteroid>} New asteroid fragments
      */
-    destroyAsteroid(asteroid) {
-        // Create particle effects
-        this.createParticleEffect('explosion', {
-            position: asteroid.position,
-            color: asteroid.color,
-            count: 6 + Math.floor(asteroid.radius / 10)
-        });
-
+    destroyAsteroid(asteroid, impact) {
         // Create fragments if asteroid splits (asteroid.split() handles isActive check)
-        const fragments = asteroid.split();
+        const fragments = asteroid.split(impact);
 
         for (const fragment of fragments) {
             fragment.id = this.nextEntityId++;
@@ -260,6 +483,8 @@ export class EntityManager {
             this.entitiesCreated++;
         }
 
+        this.dropPowerUp(asteroid);
+
         // Mark original asteroid as inactive
         asteroid.isActive = false;
         this.entitiesDestroyed++;
@@ -292,6 +517,13 @@ export class EntityManager {
     getAllActiveEntities() {
         const entities = [];
 
+        // Add active gravity wells (first, so they are drawn beneath everything else)
+        for (const well of this.gravityWells) {
+            if (well.isActive) {
+                entities.push(well);
+            }
+        }
+
         // Add active asteroids
         for (const asteroid of this.asteroids) {
             if (asteroid.isActive) {
@@ -299,6 +531,20 @@ export class EntityManager {
             }
         }
 
+        // Add active saucers
+        for (const saucer of this.saucers) {
+            if (saucer.isActive) {
+                entities.push(saucer);
+            }
+        }
+
+        // Add active pickups
+        for (const powerUp of this.powerUps) {
+            if (powerUp.isActive) {
+                entities.push(powerUp);
+            }
+        }
+
         // Add active projectiles
         for (const projectile of this.projectiles) {
             if (projectile.isActive) {
@@ -322,6 +568,12 @@ export class EntityManager {
                 return this.projectiles.filter(e => e.isActive);
             case 'particle':
                 return this.particles.filter(e => e.isActive);
+            case 'gravityWell':
+                return this.gravityWells.filter(e => e.isActive);
+            case 'saucer':
+                return this.saucers.filter(e => e.isActive);
+            case 'powerUp':
+                return this.powerUps.filter(e => e.isActive);
             default:
                 return [];
         }
@@ -339,6 +591,10 @@ export class EntityManager {
             return true;
         });
 
+        this.gravityWells = this.gravityWells.filter(well => well.isActive);
+        this.saucers = this.saucers.filter(saucer => saucer.isActive);
+        this.powerUps = this.powerUps.filter(powerUp => powerUp.isActive);
+
         // Clean up projectiles and return to pool
         this.projectiles = this.projectiles.filter(projectile => {
             if (!projectile.isActive) {
@@ -372,11 +628,17 @@ export class EntityManager {
         this.asteroids.forEach(asteroid => asteroid.isActive = false);
         this.projectiles.forEach(projectile => projectile.isActive = false);
         this.particles.forEach(particle => particle.isActive = false);
+        this.gravityWells.forEach(well => well.isActive = false);
+        this.saucers.forEach(saucer => saucer.isActive = false);
+        this.powerUps.forEach(powerUp => powerUp.isActive = false);
 
         // Clear arrays
         this.asteroids = [];
         this.projectiles = [];
         this.particles = [];
+        this.gravityWells = [];
+        this.saucers = [];
+        this.powerUps = [];
 
         // Reset pools
         this.projectilePool = [];
@@ -392,6 +654,9 @@ export class EntityManager {
             asteroids: this.asteroids.filter(e => e.isActive).length,
             projectiles: this.projectiles.filter(e => e.isActive).length,
             particles: this.particles.filter(e => e.isActive).length,
+            gravityWells: this.gravityWells.filter(e => e.isActive).length,
+            saucers: this.saucers.filter(e => e.isActive).length,
+            powerUps: this.powerUps.filter(e => e.isActive).length,
             total: this.getAllActiveEntities().length,
             pooled: {
                 projectiles: this.projectilePool.length,
@@ -400,6 +665,137 @@ export class EntityManager {
         };
     }
 
+    /**
+     * Get configuration for save/load
+     * @returns {Object} Serializable collections, pools, ID counter and statistics
+     */
+    getConfig() {
+        return {
+            nextEntityId: this.nextEntityId,
+            asteroids: this.asteroids.map(asteroid => asteroid.getConfig()),
+            projectiles: this.projectiles.map(projectile => projectile.getConfig()),
+            particles: this.particles.map(particle => particle.getConfig()),
+            gravityWells: this.gravityWells.map(well => well.getConfig()),
+            saucers: this.saucers.map(saucer => saucer.getConfig()),
+            powerUps: this.powerUps.map(powerUp => powerUp.getConfig()),
+            projectilePool: this.projectilePool.map(projectile => projectile.getConfig()),
+            particlePool: this.particlePool.map(particle => particle.getConfig()),
+            entitiesCreated: this.entitiesCreated,
+            entitiesDestroyed: this.entitiesDestroyed,
+            poolHits: this.poolHits,
+            poolMisses: this.poolMisses
+        };
+    }
+
+    /**
+     * Set configuration from saved data, replacing every entity
+     * @param {Object} config Saved entity configuration
+     */
+    setConfig(config) {
+        this.clearAllEntities();
+
+        this.asteroids = config.asteroids.map(asteroidConfig => this.restoreAsteroid(asteroidConfig));
+        this.projectiles = config.projectiles.map(projectileConfig => this.restoreProjectile(projectileConfig));
+        this.particles = config.particles.map(particleConfig => this.restoreParticle(particleConfig));
+        this.gravityWells = (config.gravityWells || []).map(wellConfig => this.restoreGravityWell(wellConfig));
+        this.saucers = (config.saucers || []).map(saucerConfig => this.restoreSaucer(saucerConfig));
+        this.powerUps = (config.powerUps || []).map(powerUpConfig => this.restorePowerUp(powerUpConfig));
+        this.projectilePool = (config.projectilePool || []).map(projectileConfig => this.restoreProjectile(projectileConfig));
+        this.particlePool = (config.particlePool || []).map(particleConfig => this.restoreParticle(particleConfig));
+
+        this.nextEntityId = config.nextEntityId || 1;
+        this.entitiesCreated = config.entitiesCreated || 0;
+        this.entitiesDestroyed = config.entitiesDestroyed || 0;
+        this.poolHits = config.poolHits || 0;
+        this.poolMisses = config.poolMisses || 0;
+    }
+
+    /**
+     * Rebuild an asteroid from saved data
+     * @param {Object} config Asteroid configuration
+     * @returns {Asteroid} Restored asteroid
+     */
+    restoreAsteroid(config) {
+        // Pass the saved shape and color so the constructor doesn't generate new ones
+        const asteroid = new Asteroid({
+            screenWidth: this.screenWidth,
+            screenHeight: this.screenHeight,
+            rng: this.gameplayRandom,
+            size: config.size,
+            vertices: [],
+            color: config.color,
+            angularVelocity: config.angularVelocity
+        });
+        asteroid.setConfig(config);
+        return asteroid;
+    }
+
+    /**
+     * Rebuild a gravity well from saved data
+     * @param {Object} config Well configuration
+     * @returns {GravityWell} Restored well
+     */
+    restoreGravityWell(config) {
+        const well = new GravityWell({ kind: config.kind });
+        well.setConfig(config);
+        return well;
+    }
+
+    /**
+     * Rebuild a saucer from saved data
+     * @param {Object} config Saucer configuration
+     * @returns {Saucer} Restored saucer
+     */
+    restoreSaucer(config) {
+        const saucer = new Saucer({
+            kind: config.kind,
+            screenWidth: this.screenWidth,
+            screenHeight: this.screenHeight,
+            rng: this.gameplayRandom
+        });
+        saucer.setConfig(config);
+        return saucer;
+    }
+
+    /**
+     * Rebuild a power-up pickup from saved data
+     * @param {Object} config Pickup configuration
+     * @returns {PowerUp} Restored pickup
+     */
+    restorePowerUp(config) {
+        const powerUp = new PowerUp({
+            kind: config.kind,
+            screenWidth: this.screenWidth,
+            screenHeight: this.screenHeight
+        });
+        powerUp.setConfig(config);
+        return powerUp;
+    }
+
+    /**
+     * Rebuild a projectile from saved data
+     * @param {Object} config Projectile configuration
+     * @returns {Projectile} Restored projectile
+     */
+    restoreProjectile(config) {
+        const projectile = new Projectile({
+            screenWidth: this.screenWidth,
+            screenHeight: this.screenHeight
+        });
+        projectile.setConfig(config);
+        return projectile;
+    }
+
+    /**
+     * Rebuild a particle from saved data
+     * @param {Object} config Particle configuration
+     * @returns {Particle} Restored particle
+     */
+    restoreParticle(config) {
+        const particle = new Particle();
+        particle.setConfig(config);
+        return particle;
+    }
 
     /**
      * Set screen dimensions for entity creation
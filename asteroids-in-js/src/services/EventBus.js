@@ -0,0 +1,107 @@
+/**
+ * Game event types and the payload each one carries
+ */
+export const GameEvents = Object.freeze({
+    shipDestroyed: 'shipDestroyed',           // { position, color }
+    asteroidDestroyed: 'asteroidDestroyed',   // { size, position, radius, color, fragmentCount, destroyedBy }
+    saucerDestroyed: 'saucerDestroyed',       // { kind, position, color, destroyedBy }
+    projectileFired: 'projectileFired',       // { position, velocity }
+    extraLifeEarned: 'extraLifeEarned',       // { lives, score }
+    levelCompleted: 'levelCompleted',         // { level, newLevel, bonusAwarded }
+    entitySwallowed: 'entitySwallowed',       // { entityType, position, color }
+    hyperspaceJumped: 'hyperspaceJumped',     // { from, to, color }
+    powerUpCollected: 'powerUpCollected',     // { kind, label, position, color, duration }
+    shieldHit: 'shieldHit',                   // { position, energyUsed, energyRemaining }
+    gameOver: 'gameOver'                      // { score, level, totalGameTime }
+});
+
+/**
+ * EventBus - Publish/subscribe hub for game events
+ * Gameplay code announces what happened; scoring, effects, audio, HUD and analytics
+ * subscribe without the emitter knowing about them
+ */
+export class EventBus {
+    constructor() {
+        // Event type -> array of handlers, called in subscription order
+        this.handlers = new Map();
+    }
+
+    /**
+     * Subscribe to an event type
+     * @param {string} type Event type from GameEvents
+     * @param {Function} handler Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        if (!GameEvents[type]) {
+            console.warn('Subscribing to unknown event type:', type);
+        }
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event type only
+     * @param {string} type Event type from GameEvents
+     * @param {Function} handler Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribe a handler
+     * @param {string} type Event type
+     * @param {Function} handler Handler passed to on()
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Announce an event to every subscriber
+     * @param {string} type Event type from GameEvents
+     * @param {Object} payload Event data
+     */
+    emit(type, payload = {}) {
+        if (!GameEvents[type]) {
+            console.warn('Emitting unknown event type:', type);
+        }
+
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while the event is being delivered
+        for (const handler of [...handlers]) {
+            try {
+                handler(payload);
+            } catch (error) {
+                // A failing subscriber must not stop the others or the simulation
+                console.warn(`Error in ${type} handler:`, error);
+            }
+        }
+    }
+
+    /**
+     * Remove every subscription
+     */
+    clear() {
+        this.handlers.clear();
+    }
+}
@@ -1,45 +1,76 @@
+import { EventBus, GameEvents } from './EventBus.js';
+import { SceneManager, Scenes } from './SceneManager.js';
+import { POWER_UPS } from '../data/powerUps.js';
+
 /**
  * GameState - Central state management for game progression and status
  * Handles score tracking, lives, level progression, pause/resume, and game over conditions
  */
 export class GameState {
     constructor(options = {}) {
+        // Time source for timestamps (the simulation clock when run by Simulation)
+        this.clock = options.clock || { now: () => Date.now() };
+
+        // Game events: scoring reacts to gameplay events and announces progression
+        this.events = options.events || new EventBus();
+
         // Core game state
         this.score = options.score || 0;
         this.lives = options.lives || 3;
         this.level = options.level || 1;
         this.difficulty = options.difficulty || 'medium';
 
-        // Game flow state
-        this.gamePhase = options.gamePhase || 'menu'; // 'menu', 'playing', 'paused', 'gameOver'
-        this.isPaused = false;
-        this.isGameOver = false;
+        // Game flow state - gamePhase, isPaused and isGameOver are derived from the scene stack
+        this.scenes = new SceneManager(options.gamePhase || Scenes.menu);
 
         // Level progression
+        this.levelTransitionDuration = 2000; // Breather between clearing a level and the next wave
+        this.levelTransitionRemaining = 0;
         this.levelStartTime = 0;
         this.levelDuration = 60000; // 60 seconds per level
         this.asteroidsDestroyed = 0;
         this.totalAsteroidsThisLevel = 0;
 
+        // Flying saucers: one at a time, the next due when this runs out
+        this.saucerSpawnRemaining = 0;
+
+        // Score multiplier power-up: milliseconds left (the ship's own power-ups are timed on the ship)
+        this.scoreMultiplierRemaining = 0;
+
         // Difficulty settings
         this.difficultySettings = {
             easy: {
                 initialLives: 5,
                 baseAsteroidCount: 3,
                 asteroidSpeedMultiplier: 0.8,
-                extraLifeThreshold: 8000
+                extraLifeThreshold: 8000,
+                asteroidCollisions: false, // Asteroids pass through each other
+                saucerInterval: 30000, // Milliseconds between saucers on level 1
+                smallSaucerChance: 0.1, // Share of saucers that are the small, aiming kind on level 1
+                hyperspaceFailureChance: 0.05, // Chance of exploding on re-entry
+                safeHyperspace: true // Hyperspace never lands inside an asteroid
             },
             medium: {
                 initialLives: 3,
                 baseAsteroidCount: 5,
                 asteroidSpeedMultiplier: 1.0,
-                extraLifeThreshold: 10000
+                extraLifeThreshold: 10000,
+                asteroidCollisions: false,
+                saucerInterval: 20000,
+                smallSaucerChance: 0.2,
+                hyperspaceFailureChance: 0.1,
+                safeHyperspace: false
             },
             hard: {
                 initialLives: 1,
                 baseAsteroidCount: 8,
                 asteroidSpeedMultiplier: 1.3,
-                extraLifeThreshold: 15000
+                extraLifeThreshold: 15000,
+                asteroidCollisions: true,
+                saucerInterval: 14000,
+                smallSaucerChance: 0.35,
+                hyperspaceFailureChance: 0.2,
+                safeHyperspace: false
             }
         };
 
@@ -49,6 +80,8 @@ export class GameState {
             asteroidLarge: 20,
             asteroidMedium: 50,
             asteroidSmall: 100,
+            saucerLarge: 200,
+            saucerSmall: 1000,
             levelBonus: 500
         };
 
@@ -62,6 +95,47 @@ export class GameState {
 
         // Initialize with difficulty settings
         this.applyDifficultySettings();
+        this.subscribeToEvents();
+    }
+
+    /**
+     * Current game phase: 'menu', 'playing' or 'gameOver'
+     * @returns {string} Scene at the bottom of the stack
+     */
+    get gamePhase() {
+        return this.scenes.base;
+    }
+
+    /**
+     * Check if play is paused
+     * @returns {boolean} True while the paused scene is on top
+     */
+    get isPaused() {
+        return this.scenes.current === Scenes.paused;
+    }
+
+    /**
+     * Check if the game has ended
+     * @returns {boolean} True in the game over scene
+     */
+    get isGameOver() {
+        return this.scenes.base === Scenes.gameOver;
+    }
+
+    /**
+     * Keep score, lives and statistics in step with gameplay events
+     * Only kills credited to the player's ship score; saucers breaking rocks earn nothing
+     */
+    subscribeToEvents() {
+        this.events.on(GameEvents.shipDestroyed, () => this.loseLife());
+        this.events.on(GameEvents.asteroidDestroyed, ({ size, destroyedBy }) => {
+            if (destroyedBy === 'ship') this.recordAsteroidDestroyed(size);
+        });
+        this.events.on(GameEvents.saucerDestroyed, ({ kind, destroyedBy }) => {
+            if (destroyedBy === 'ship') this.recordSaucerDestroyed(kind);
+        });
+        this.events.on(GameEvents.projectileFired, () => this.recordShotFired());
+        this.events.on(GameEvents.powerUpCollected, ({ kind, duration }) => this.applyPowerUp(kind, duration));
     }
 
     /**
@@ -85,14 +159,15 @@ export class GameState {
         this.level = 1;
         this.applyDifficultySettings();
 
-        this.gamePhase = 'playing';
-        this.isPaused = false;
-        this.isGameOver = false;
+        this.scenes.switchTo(Scenes.playing);
+        this.levelTransitionRemaining = 0;
 
-        this.levelStartTime = Date.now();
-        this.gameStartTime = Date.now();
+        this.levelStartTime = this.clock.now();
+        this.gameStartTime = this.clock.now();
         this.asteroidsDestroyed = 0;
         this.lastExtraLifeScore = 0;
+        this.saucerSpawnRemaining = this.getSaucerSpawnInterval();
+        this.scoreMultiplierRemaining = 0;
 
         // Reset statistics
         this.shotsFired = 0;
@@ -132,10 +207,11 @@ export class GameState {
         if (extraLifeEarned) {
             this.lives++;
             this.lastExtraLifeScore = this.score;
+            this.events.emit(GameEvents.extraLifeEarned, { lives: this.lives, score: this.score });
         }
 
         // Track hit statistics
-        if (source.includes('asteroid')) {
+        if (source.includes('asteroid') || source.includes('saucer')) {
             this.shotsHit++;
         }
 
@@ -180,8 +256,9 @@ export class GameState {
      */
     advanceLevel() {
         this.level++;
-        this.levelStartTime = Date.now();
+        this.levelStartTime = this.clock.now();
         this.asteroidsDestroyed = 0;
+        this.saucerSpawnRemaining = this.getSaucerSpawnInterval();
 
         return {
             newLevel: this.level
@@ -189,18 +266,42 @@ export class GameState {
     }
 
     /**
-     * Complete the current level (legacy method - calls both functions)
+     * Complete the current level and start the transition to the next one
      */
     completeLevel() {
+        const completedLevel = this.level;
         const bonusResult = this.awardLevelBonus();
         const levelResult = this.advanceLevel();
 
+        this.levelTransitionRemaining = this.levelTransitionDuration;
+        this.scenes.push(Scenes.levelTransition);
+
+        this.events.emit(GameEvents.levelCompleted, {
+            level: completedLevel,
+            newLevel: levelResult.newLevel,
+            bonusAwarded: bonusResult.bonusAwarded
+        });
+
         return {
             newLevel: levelResult.newLevel,
             bonusAwarded: bonusResult.bonusAwarded
         };
     }
 
+    /**
+     * Count down the level transition and return to play when it ends
+     * @param {number} deltaTime Time elapsed since last tick
+     */
+    updateLevelTransition(deltaTime) {
+        if (this.scenes.current !== Scenes.levelTransition) return;
+
+        this.levelTransitionRemaining -= deltaTime;
+        if (this.levelTransitionRemaining <= 0) {
+            this.levelTransitionRemaining = 0;
+            this.scenes.pop();
+        }
+    }
+
     /**
      * Get asteroid count for current level
      * @returns {number} Number of asteroids for this level
@@ -227,24 +328,114 @@ export class GameState {
         return baseMultiplier * levelMultiplier;
     }
 
+    /**
+     * Get the time between saucers for the current level
+     * @returns {number} Milliseconds (shrinks by 10% of the base per level, to 40% at most)
+     */
+    getSaucerSpawnInterval() {
+        const settings = this.difficultySettings[this.difficulty];
+        const levelMultiplier = Math.max(0.4, 1 - (this.level - 1) * 0.1);
+        return settings.saucerInterval * levelMultiplier;
+    }
+
+    /**
+     * Get the chance that a saucer is the small kind on the current level
+     * @returns {number} Probability (grows by 0.05 per level, up to 0.9)
+     */
+    getSmallSaucerChance() {
+        const settings = this.difficultySettings[this.difficulty];
+        return Math.min(0.9, settings.smallSaucerChance + (this.level - 1) * 0.05);
+    }
+
+    /**
+     * Get the chance that a hyperspace jump ends with the ship exploding
+     * @returns {number} Probability (0-1)
+     */
+    getHyperspaceFailureChance() {
+        return this.difficultySettings[this.difficulty].hyperspaceFailureChance;
+    }
+
+    /**
+     * Check if hyperspace keeps the ship out of asteroids
+     * @returns {boolean} True if destinations inside an asteroid are avoided
+     */
+    isHyperspaceSafe() {
+        return Boolean(this.difficultySettings[this.difficulty].safeHyperspace);
+    }
+
+    /**
+     * Count down to the next saucer (Simulation only calls this while none is flying)
+     * @param {number} deltaTime Time elapsed since last tick
+     * @returns {boolean} True when a saucer is due; the countdown restarts
+     */
+    updateSaucerTimer(deltaTime) {
+        this.saucerSpawnRemaining -= deltaTime;
+        if (this.saucerSpawnRemaining > 0) return false;
+
+        this.saucerSpawnRemaining = this.getSaucerSpawnInterval();
+        return true;
+    }
+
+    /**
+     * Apply a collected power-up that acts on the game rather than the ship
+     * @param {string} kind Power-up kind
+     * @param {number} duration Milliseconds the effect lasts
+     */
+    applyPowerUp(kind, duration) {
+        switch (kind) {
+            case 'extraLife':
+                this.lives++;
+                this.events.emit(GameEvents.extraLifeEarned, { lives: this.lives, score: this.score });
+                break;
+            case 'scoreMultiplier':
+                this.scoreMultiplierRemaining = Math.max(this.scoreMultiplierRemaining, duration);
+                break;
+        }
+    }
+
+    /**
+     * Count down the score multiplier
+     * @param {number} deltaTime Time elapsed since last tick
+     */
+    updatePowerUps(deltaTime) {
+        this.scoreMultiplierRemaining = Math.max(0, this.scoreMultiplierRemaining - deltaTime);
+    }
+
+    /**
+     * Get the multiplier applied to points for kills
+     * @returns {number} Multiplier (1 when the power-up isn't active)
+     */
+    getScoreMultiplier() {
+        return this.scoreMultiplierRemaining > 0 ? POWER_UPS.scoreMultiplier.multiplier : 1;
+    }
+
+    /**
+     * Get the game-wide power-ups in effect for the HUD
+     * @returns {Array<Object>} kind, label, color and milliseconds remaining of each
+     */
+    getActivePowerUps() {
+        if (this.scoreMultiplierRemaining <= 0) return [];
+
+        const { label, color } = POWER_UPS.scoreMultiplier;
+        return [{ kind: 'scoreMultiplier', label, color, remaining: this.scoreMultiplierRemaining }];
+    }
+
     /**
      * Pause the game
      */
     pause() {
-        if (this.gamePhase === 'playing' && !this.isPaused) {
-            this.isPaused = true;
-            return true;
+        if (this.scenes.current === Scenes.playing || this.scenes.current === Scenes.levelTransition) {
+            return this.scenes.push(Scenes.paused);
         }
         return false;
     }
 
     /**
-     * Resume the game with countdown
+     * Resume the game
      */
     resume() {
-        if (this.gamePhase === 'playing' && this.isPaused) {
-            this.isPaused = false;
-            return true;
+        if (this.isPaused) {
+            return this.scenes.pop();
         }
         return false;
     }
@@ -253,18 +444,22 @@ export class GameState {
      * End the game
      */
     endGame() {
-        this.isGameOver = true;
-        this.gamePhase = 'gameOver';
-        this.totalGameTime = Date.now() - this.gameStartTime;
+        this.scenes.switchTo(Scenes.gameOver);
+        this.totalGameTime = this.clock.now() - this.gameStartTime;
+
+        this.events.emit(GameEvents.gameOver, {
+            score: this.score,
+            level: this.level,
+            totalGameTime: this.totalGameTime
+        });
     }
 
     /**
      * Return to menu
      */
     returnToMenu() {
-        this.gamePhase = 'menu';
-        this.isPaused = false;
-        this.isGameOver = false;
+        if (this.gamePhase === Scenes.menu) return false;
+        return this.scenes.switchTo(Scenes.menu);
     }
 
     /**
@@ -289,12 +484,22 @@ export class GameState {
         }
 
         if (points > 0) {
-            return this.addScore(points, `asteroid-${asteroidSize}`);
+            return this.addScore(points * this.getScoreMultiplier(), `asteroid-${asteroidSize}`);
         }
 
         return { newScore: this.score, pointsAdded: 0, extraLifeEarned: false };
     }
 
+    /**
+     * Record a saucer destruction
+     * @param {string} kind 'large' or 'small'
+     * @returns {Object} Score update results
+     */
+    recordSaucerDestroyed(kind) {
+        const points = kind === 'small' ? this.pointValues.saucerSmall : this.pointValues.saucerLarge;
+        return this.addScore(points * this.getScoreMultiplier(), `saucer-${kind}`);
+    }
+
     /**
      * Record a shot fired (for statistics)
      */
@@ -302,7 +507,6 @@ export class GameState {
         this.shotsFired++;
     }
 
-
     /**
      * Get game state for UI display
      * @returns {Object} UI-friendly game state
@@ -314,8 +518,10 @@ export class GameState {
             level: this.level,
             difficulty: this.difficulty,
             gamePhase: this.gamePhase,
+            scene: this.scenes.current,
             isPaused: this.isPaused,
-            isGameOver: this.isGameOver
+            isGameOver: this.isGameOver,
+            levelTransitionRemaining: this.levelTransitionRemaining
         };
     }
 
@@ -330,11 +536,17 @@ export class GameState {
             level: this.level,
             difficulty: this.difficulty,
             gamePhase: this.gamePhase,
+            scenes: this.scenes.getStack(),
+            levelTransitionRemaining: this.levelTransitionRemaining,
+            saucerSpawnRemaining: this.saucerSpawnRemaining,
+            scoreMultiplierRemaining: this.scoreMultiplierRemaining,
             asteroidsDestroyed: this.asteroidsDestroyed,
             totalGameTime: this.totalGameTime,
             shotsFired: this.shotsFired,
             shotsHit: this.shotsHit,
-            lastExtraLifeScore: this.lastExtraLifeScore
+            lastExtraLifeScore: this.lastExtraLifeScore,
+            levelStartTime: this.levelStartTime,
+            gameStartTime: this.gameStartTime
         };
     }
 
@@ -347,15 +559,19 @@ export class GameState {
         this.lives = config.lives || 3;
         this.level = config.level || 1;
         this.difficulty = config.difficulty || 'medium';
-        this.gamePhase = config.gamePhase || 'menu';
         this.asteroidsDestroyed = config.asteroidsDestroyed || 0;
         this.totalGameTime = config.totalGameTime || 0;
         this.shotsFired = config.shotsFired || 0;
         this.shotsHit = config.shotsHit || 0;
         this.lastExtraLifeScore = config.lastExtraLifeScore || 0;
-
-        // Reset transient state
-        this.isPaused = false;
-        this.isGameOver = false;
+        this.levelStartTime = config.levelStartTime || 0;
+        this.gameStartTime = config.gameStartTime || 0;
+        this.levelTransitionRemaining = config.levelTransitionRemaining || 0;
+        this.saucerSpawnRemaining = config.saucerSpawnRemaining ?? this.getSaucerSpawnInterval();
+        this.scoreMultiplierRemaining = config.scoreMultiplierRemaining || 0;
+
+        // Restore the scene stack, dropping transient overlays (pause, options)
+        const scenes = config.scenes || [config.gamePhase || Scenes.menu];
+        this.scenes.restore(scenes.filter(scene => scene !== Scenes.paused && scene !== Scenes.options));
     }
 }
@@ -1,18 +1,28 @@
 /**
  * InputManager - Handles keyboard input with automatic projectile firing
- * Supports simultaneous key presses and provides game state-aware input processing
+ * Captures key states as per-tick input frames (action name -> pressed) and turns frames into game actions.
+ * Frames can come from the keyboard or from any other source, so processing works without a DOM
  */
 export class InputManager {
-    constructor() {
+    /**
+     * @param {Object} options Options (options.listen: attach document/window key listeners, default when a DOM exists)
+     */
+    constructor(options = {}) {
         // Current key states
         this.keys = new Map();
-        this.previousKeys = new Map();
+
+        // Input frames being processed (action name -> pressed) for edge detection
+        this.currentFrame = {};
+        this.previousFrame = {};
 
         // Key bindings - easily configurable
         this.keyBindings = {
             rotateLeft: ['ArrowLeft', 'KeyA'],
             rotateRight: ['ArrowRight', 'KeyD'],
             thrust: ['ArrowUp', 'KeyW'],
+            fire: ['Space'],
+            hyperspace: ['ArrowDown', 'KeyS'],
+            shield: ['ShiftLeft', 'ShiftRight'],
             pause: ['KeyP'],
             escape: ['Escape']
         };
@@ -25,7 +35,10 @@ export class InputManager {
         this.autoFireEnabled = true;
 
         // Initialize event listeners
-        this.setupEventListeners();
+        const listen = options.listen ?? typeof document !== 'undefined';
+        if (listen) {
+            this.setupEventListeners();
+        }
     }
 
     /**
@@ -76,13 +89,27 @@ export class InputManager {
     }
 
     /**
-     * Process input and update game entities
-     * @param {Object} inputState Current input processing state
+     * Capture the current keyboard state as an input frame
+     * @returns {Object} Map of action name to pressed state
+     */
+    captureFrame() {
+        const frame = {};
+        for (const [action, keyCodes] of Object.entries(this.keyBindings)) {
+            frame[action] = keyCodes.some(keyCode => this.keys.get(keyCode) === true);
+        }
+        return frame;
+    }
+
+    /**
+     * Process one input frame and update game entities
+     * @param {Object} inputState Current input processing state (inputState.frame defaults to the keyboard;
+     *                            inputState.shotsInFlight counts the ship's projectiles for manual fire)
      * @returns {Object} Input processing results
      */
     processInput(inputState) {
-        const { ship, gameState, deltaTime, currentTime } = inputState;
+        const { ship, gameState, deltaTime, currentTime, shotsInFlight = 0, frame = this.captureFrame() } = inputState;
         const actions = [];
+        this.currentFrame = frame;
         let shipUpdated = false;
         let newProjectile = null;
 
@@ -98,15 +125,22 @@ export class InputManager {
 
         // Skip ship-related input processing if game is paused, but still return actions
         if (gameState && gameState.isPaused) {
-            // Update previous key states for next frame before returning
-            this.updatePreviousKeys();
+            // Rotation keys scrub through rewind history while paused
+            if (this.isPressed('rotateLeft')) {
+                actions.push('rewind-back');
+            } else if (this.isPressed('rotateRight')) {
+                actions.push('rewind-forward');
+            }
+
+            // Update previous frame for edge detection before returning
+            this.updatePreviousFrame();
             return { actions, shipUpdated, newProjectile };
         }
 
         // Skip ship-related input if ship doesn't exist
         if (!ship) {
-            // Update previous key states for next frame before returning
-            this.updatePreviousKeys();
+            // Update previous frame for edge detection before returning
+            this.updatePreviousFrame();
             return { actions, shipUpdated, newProjectile };
         }
 
@@ -132,17 +166,33 @@ export class InputManager {
             ship.stopThrust();
         }
 
-        // Process automatic projectile firing
-        if (this.autoFireEnabled && ship.canFire(currentTime)) {
-            newProjectile = ship.createProjectile(currentTime);
-            if (newProjectile) {
-                actions.push('auto-fire');
-            }
+        // Shield stays up while held
+        if (this.isPressed('shield')) {
+            ship.raiseShield();
+            actions.push('shield');
+        } else {
+            ship.lowerShield();
+        }
+
+        // Hyperspace jumps once per key press (Simulation picks the destination)
+        if (this.wasJustPressed('hyperspace') && ship.canHyperspace()) {
+            actions.push('hyperspace');
+        }
+
+        // Fire as the ship's fire mode dictates (auto mode fires without the key while auto-fire is on)
+        newProjectile = ship.updateTrigger({
+            held: this.isPressed('fire'),
+            pressed: this.wasJustPressed('fire'),
+            released: this.wasJustReleased('fire'),
+            auto: this.autoFireEnabled
+        }, currentTime, deltaTime, shotsInFlight);
+        if (newProjectile) {
+            actions.push(ship.fireMode === 'auto' ? 'auto-fire' : 'fire');
         }
 
 
-        // Update previous key states for next frame
-        this.updatePreviousKeys();
+        // Update previous frame for edge detection
+        this.updatePreviousFrame();
 
         return {
             actions,
@@ -152,45 +202,30 @@ export class InputManager {
     }
 
     /**
-     * Check if any keys for an action are currently pressed
+     * Check if an action is pressed in the frame being processed
      * @param {string} action Action name from key bindings
-     * @returns {boolean} True if action key is pressed
+     * @returns {boolean} True if action is pressed
      */
     isPressed(action) {
-        const keyCodes = this.keyBindings[action];
-        if (!keyCodes) return false;
-
-        return keyCodes.some(keyCode => this.keys.get(keyCode) === true);
+        return this.currentFrame[action] === true;
     }
 
     /**
-     * Check if any keys for an action were just pressed this frame
+     * Check if an action was just pressed this frame
      * @param {string} action Action name from key bindings
-     * @returns {boolean} True if action key was just pressed
+     * @returns {boolean} True if action was just pressed
      */
     wasJustPressed(action) {
-        const keyCodes = this.keyBindings[action];
-        if (!keyCodes) return false;
-
-        return keyCodes.some(keyCode =>
-            this.keys.get(keyCode) === true &&
-            this.previousKeys.get(keyCode) !== true
-        );
+        return this.currentFrame[action] === true && this.previousFrame[action] !== true;
     }
 
     /**
-     * Check if any keys for an action were just released this frame
+     * Check if an action was just released this frame
      * @param {string} action Action name from key bindings
-     * @returns {boolean} True if action key was just released
+     * @returns {boolean} True if action was just released
      */
     wasJustReleased(action) {
-        const keyCodes = this.keyBindings[action];
-        if (!keyCodes) return false;
-
-        return keyCodes.some(keyCode =>
-            this.keys.get(keyCode) !== true &&
-            this.previousKeys.get(keyCode) === true
-        );
+        return this.currentFrame[action] !== true && this.previousFrame[action] === true;
     }
 
     /**
@@ -203,13 +238,10 @@ export class InputManager {
     }
 
     /**
-     * Update previous key states for frame comparison
+     * Keep the processed frame for next frame's comparison
      */
-    updatePreviousKeys() {
-        this.previousKeys.clear();
-        for (const [key, value] of this.keys) {
-            this.previousKeys.set(key, value);
-        }
+    updatePreviousFrame() {
+        this.previousFrame = this.currentFrame;
     }
 
     /**
@@ -217,7 +249,8 @@ export class InputManager {
      */
     clearAllKeys() {
         this.keys.clear();
-        this.previousKeys.clear();
+        this.currentFrame = {};
+        this.previousFrame = {};
     }
 
     /**
@@ -300,6 +333,9 @@ export class InputManager {
             rotateLeft: ['ArrowLeft', 'KeyA'],
             rotateRight: ['ArrowRight', 'KeyD'],
             thrust: ['ArrowUp', 'KeyW'],
+            fire: ['Space'],
+            hyperspace: ['ArrowDown', 'KeyS'],
+            shield: ['ShiftLeft', 'ShiftRight'],
             pause: ['KeyP'],
             escape: ['Escape']
         };
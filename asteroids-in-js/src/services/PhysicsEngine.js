@@ -1,8 +1,15 @@
 import { Vector2D } from '../lib/Vector2D.js';
+import { Polygon } from '../lib/Polygon.js';
+import { Drag } from '../lib/Drag.js';
+import { canCollide } from '../lib/CollisionLayers.js';
 
 /**
  * PhysicsEngine - Handles movement, collision detection, and physics simulation
- * Provides frame-rate independent physics with momentum, inertia, and screen wrapping
+ * Provides frame-rate independent physics with momentum, inertia, and screen wrapping.
+ * The world is a torus: distances and grid neighborhoods wrap across the screen edges,
+ * so objects touching through an edge collide just like they appear to.
+ * Circles enclosing each shape are the broad phase; entities with a collision outline
+ * (asteroids, the ship) are then tested polygon-accurately in the narrow phase
  */
 export class PhysicsEngine {
     constructor(screenWidth = 800, screenHeight = 600) {
@@ -11,8 +18,27 @@ export class PhysicsEngine {
 
         // Performance optimization: spatial grid for collision detection
         this.useSpacialGrid = true;
-        this.gridCellSize = 100;
-        this.spatialGrid = new Map();
+        this.minGridCellSize = 32; // Cells never shrink below this, however small the entities
+        this.gridCellSize = 100; // Resized every pass to fit the largest entity (see populateSpatialGrid)
+
+        // Broad-phase buffers, reused every pass and grown as needed (never shrunk)
+        this.activeEntities = [];
+        this.broadPhase = {
+            capacity: 0,
+            entities: [],
+            count: 0,
+            x: new Float64Array(0),
+            y: new Float64Array(0),
+            reach: new Float64Array(0), // Bounding radius plus distance moved this tick
+            cellOf: new Int32Array(0),
+            cellEntries: new Int32Array(0), // Entity indices grouped by cell, ascending within a cell
+            cellStart: new Int32Array(1), // cellEntries[cellStart[c]..cellStart[c + 1]) are in cell c
+            cellCursor: new Int32Array(0),
+            grid: this.getGridSize(), // Grid dimensions of the last pass
+            cellCount: 0,
+            neighbors: new Int32Array(9),
+            hitOrder: []
+        };
 
         // Collision statistics for debugging
         this.collisionChecks = 0;
@@ -21,6 +47,8 @@ export class PhysicsEngine {
 
     /**
      * Update physics for all entities
+     * Interpolation and swept collisions start from the state saved by storePreviousStates();
+     * entities spawned since then start from where they were created
      * @param {Array} entities Array of game objects to update
      * @param {number} deltaTime Time elapsed since last frame (milliseconds)
      * @returns {Object} Update results
@@ -32,14 +60,17 @@ export class PhysicsEngine {
         for (const entity of entities) {
             if (entity.isActive === false) continue;
 
-            const previousPosition = entity.position.clone();
+            if (!entity.previousPosition) {
+                this.storePreviousState(entity);
+            }
 
             // Update entity physics
             entity.update(deltaTime);
             entitiesUpdated++;
 
-            // Check if entity wrapped around screen
-            if (this.hasWrappedScreen(previousPosition, entity.position)) {
+            // Check if entity wrapped around screen (interpolating across a wrap would smear it over the screen)
+            entity.hasWrapped = this.hasWrappedScreen(entity.previousPosition, entity.position);
+            if (entity.hasWrapped) {
                 screenWraps++;
             }
         }
@@ -51,26 +82,63 @@ export class PhysicsEngine {
         };
     }
 
+    /**
+     * Remember every entity's transform at the start of a tick, before input turns the ship
+     * @param {Array} entities Entities about to be advanced
+     */
+    storePreviousStates(entities) {
+        for (const entity of entities) {
+            if (entity.isActive !== false) {
+                this.storePreviousState(entity);
+            }
+        }
+    }
+
+    /**
+     * Remember an entity's transform before it is advanced, for render interpolation
+     * @param {Object} entity Entity about to be updated
+     */
+    storePreviousState(entity) {
+        if (entity.previousPosition) {
+            entity.previousPosition.set(entity.position.x, entity.position.y);
+        } else {
+            entity.previousPosition = entity.position.clone();
+        }
+        entity.previousRotation = entity.rotation || 0;
+    }
+
     /**
      * Detect collisions between all entities
      * @param {Array} entities Array of game objects
      * @returns {Object} Collision detection results
      */
     detectCollisions(entities) {
-        const collisions = [];
         this.collisionChecks = 0;
         this.actualCollisions = 0;
 
         // Filter out inactive entities
-        const activeEntities = entities.filter(entity => entity.isActive !== false);
+        const activeEntities = this.activeEntities;
+        activeEntities.length = 0;
+        for (const entity of entities) {
+            if (entity.isActive !== false) {
+                activeEntities.push(entity);
+            }
+        }
 
+        let result;
         if (this.useSpacialGrid && activeEntities.length > 10) {
             // Use spatial grid optimization for large numbers of entities
-            return this.detectCollisionsSpatial(activeEntities);
+            result = this.detectCollisionsSpatial(activeEntities);
         } else {
             // Use brute force for smaller numbers
-            return this.detectCollisionsBruteForce(activeEntities);
+            this.broadPhase.count = 0;
+            result = this.detectCollisionsBruteForce(activeEntities);
         }
+
+        // Both paths report pairs in the same (index) order, so the grid never changes outcomes.
+        // Earliest impacts first, so a bullet hits the first rock on its path (sort is stable)
+        result.collisions.sort((a, b) => a.timeOfImpact - b.timeOfImpact);
+        return result;
     }
 
     /**
@@ -83,19 +151,9 @@ export class PhysicsEngine {
 
         for (let i = 0; i < entities.length; i++) {
             for (let j = i + 1; j < entities.length; j++) {
-                const entityA = entities[i];
-                const entityB = entities[j];
-
-                this.collisionChecks++;
-
-                if (this.checkCircleCollision(entityA, entityB)) {
-                    collisions.push({
-                        entityA,
-                        entityB,
-                        point: this.getCollisionPoint(entityA, entityB),
-                        normal: this.getCollisionNormal(entityA, entityB)
-                    });
-                    this.actualCollisions++;
+                const collision = this.testPair(entities[i], entities[j]);
+                if (collision) {
+                    collisions.push(collision);
                 }
             }
         }
@@ -105,48 +163,316 @@ export class PhysicsEngine {
 
     /**
      * Spatial grid collision detection (O(n))
+     * Each entity is tested against later entities in its own and the 8 surrounding cells,
+     * after a scalar distance check; no strings, sets or arrays are built per pair
      * @param {Array} entities Active entities
      * @returns {Object} Collision results
      */
     detectCollisionsSpatial(entities) {
         const collisions = [];
 
-        // Clear and populate spatial grid
-        this.clearSpatialGrid();
         this.populateSpatialGrid(entities);
 
-        // Check collisions only within same or adjacent grid cells
-        const checkedPairs = new Set();
+        const { x, y, reach, cellOf, cellEntries, cellStart, neighbors } = this.broadPhase;
+        const width = this.screenWidth;
+        const height = this.screenHeight;
 
-        for (const entity of entities) {
-            const candidates = this.getNearbyEntities(entity);
+        for (let i = 0; i < entities.length; i++) {
+            const entity = entities[i];
+            const neighborCount = this.getNeighborCells(cellOf[i], neighbors);
+            const runStart = collisions.length;
+
+            for (let n = 0; n < neighborCount; n++) {
+                const cell = neighbors[n];
+
+                for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                    // Each pair once, from its lower index
+                    const j = cellEntries[k];
+                    if (j <= i) continue;
+
+                    const candidate = entities[j];
+                    if (!canCollide(entity, candidate)) continue;
+
+                    // Reject pairs that can't have touched this tick, even moving flat out
+                    let dx = x[j] - x[i];
+                    let dy = y[j] - y[i];
+                    dx -= width * Math.round(dx / width);
+                    dy -= height * Math.round(dy / height);
+                    const reachSum = reach[i] + reach[j];
+                    if (dx * dx + dy * dy >= reachSum * reachSum) continue;
+
+                    const collision = this.testPair(entity, candidate);
+                    if (collision) {
+                        this.insertHit(collisions, runStart, collision, j);
+                    }
+                }
+            }
+        }
 
-            for (const candidate of candidates) {
-                if (entity === candidate) continue;
+        return { collisions };
+    }
 
-                // Create unique pair identifier to avoid duplicate checks
-                const pairId = entity.id < candidate.id ?
-                    `${entity.id}-${candidate.id}` :
-                    `${candidate.id}-${entity.id}`;
+    /**
+     * Add a collision to the hits found for the current entity, keeping them in candidate
+     * index order (neighbor cells are visited in grid order, not index order)
+     * @param {Array} collisions Collisions found so far
+     * @param {number} runStart Index of the current entity's first hit
+     * @param {Object} collision Collision to add
+     * @param {number} candidateIndex Index of the other entity
+     */
+    insertHit(collisions, runStart, collision, candidateIndex) {
+        const { hitOrder } = this.broadPhase;
+        let slot = collisions.length;
+
+        while (slot > runStart && hitOrder[slot - 1] > candidateIndex) {
+            collisions[slot] = collisions[slot - 1];
+            hitOrder[slot] = hitOrder[slot - 1];
+            slot--;
+        }
+        collisions[slot] = collision;
+        hitOrder[slot] = candidateIndex;
+    }
 
-                if (checkedPairs.has(pairId)) continue;
-                checkedPairs.add(pairId);
+    /**
+     * Test one pair for contact this tick
+     * Pairs whose collision layers never interact are rejected before any distance math.
+     * Pairs involving a fast entity are swept along the tick's motion; others are
+     * tested where they ended up
+     * @param {Object} entityA First entity
+     * @param {Object} entityB Second entity
+     * @returns {Object|null} Collision data, or null if the pair didn't touch
+     */
+    testPair(entityA, entityB) {
+        if (!canCollide(entityA, entityB)) return null;
+        this.collisionChecks++;
+
+        let collision = null;
+        if (this.isSwept(entityA) || this.isSwept(entityB)) {
+            collision = this.checkSweptCollision(entityA, entityB);
+        } else if (this.checkCircleCollision(entityA, entityB)) {
+            collision = {
+                entityA,
+                entityB,
+                point: this.getCollisionPoint(entityA, entityB),
+                normal: this.getCollisionNormal(entityA, entityB),
+                timeOfImpact: 1
+            };
+        }
+
+        // Narrow phase against the real shapes
+        if (collision && (entityA.getCollisionOutline || entityB.getCollisionOutline)) {
+            collision = this.refineCollision(collision);
+        }
 
-                this.collisionChecks++;
+        if (collision) {
+            this.actualCollisions++;
+        }
+        return collision;
+    }
 
-                if (this.checkCircleCollision(entity, candidate)) {
-                    collisions.push({
-                        entityA: entity,
-                        entityB: candidate,
-                        point: this.getCollisionPoint(entity, candidate),
-                        normal: this.getCollisionNormal(entity, candidate)
-                    });
-                    this.actualCollisions++;
+    /**
+     * Check if an entity needs continuous collision detection
+     * @param {Object} entity Entity to check
+     * @returns {boolean} True for fast entities with a position from before this tick
+     */
+    isSwept(entity) {
+        return entity.isFast === true && entity.previousPosition !== undefined;
+    }
+
+    /**
+     * Swept circle-versus-circle test over the last tick
+     * Both circles move in a straight line from previousPosition to position; the
+     * earliest moment they touch is found by solving |offset + relativeMotion * t| = radiusSum
+     * @param {Object} entityA First entity
+     * @param {Object} entityB Second entity
+     * @returns {Object|null} Collision data with timeOfImpact (0 = start of tick, 1 = end), or null
+     */
+    checkSweptCollision(entityA, entityB) {
+        const radiusSum = this.getBroadPhaseRadius(entityA) + this.getBroadPhaseRadius(entityB);
+
+        const startA = entityA.previousPosition || entityA.position;
+        const startB = entityB.previousPosition || entityB.position;
+
+        // Motion this tick, measured across the edge for entities that wrapped
+        const motionA = this.getWrappedDelta(startA, entityA.position);
+        const motionB = this.getWrappedDelta(startB, entityB.position);
+
+        const offset = this.getWrappedDelta(startA, startB);
+        const relativeMotion = motionB.clone().subtract(motionA);
+
+        const a = relativeMotion.magnitudeSquared();
+        const b = 2 * offset.dot(relativeMotion);
+        const c = offset.magnitudeSquared() - radiusSum * radiusSum;
+
+        let timeOfImpact;
+        if (c < 0) {
+            // Already overlapping when the tick began
+            timeOfImpact = 0;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (a === 0 || discriminant < 0) return null;
+
+            timeOfImpact = (-b - Math.sqrt(discriminant)) / (2 * a);
+            if (timeOfImpact < 0 || timeOfImpact > 1) return null;
+        }
+
+        // Contact geometry where the circles first touched
+        const centerA = startA.clone().add(motionA.clone().multiply(timeOfImpact));
+        const delta = offset.add(relativeMotion.multiply(timeOfImpact));
+        const normal = delta.clone().normalize();
+        const point = this.wrapPosition(centerA.add(normal.clone().multiply(this.getBroadPhaseRadius(entityA))));
+
+        return { entityA, entityB, point, normal, timeOfImpact };
+    }
+
+    /**
+     * Radius of the circle enclosing an entity's collision shape
+     * @param {Object} entity Entity
+     * @returns {number} Bounding radius for polygon entities, otherwise the collision radius
+     */
+    getBroadPhaseRadius(entity) {
+        return entity.boundingRadius || entity.getBounds().radius;
+    }
+
+    /**
+     * Narrow phase: confirm a broad-phase hit against the actual shapes
+     * Works in entity A's frame, with B placed wherever it is closest across the edges
+     * @param {Object} collision Broad-phase collision
+     * @returns {Object|null} Collision with precise point, normal (A towards B) and depth,
+     *                        or null if the shapes don't touch
+     */
+    refineCollision(collision) {
+        const { entityA, entityB } = collision;
+        const centerA = entityA.position;
+        const centerB = centerA.clone().add(this.getWrappedDelta(entityA.position, entityB.position));
+        const outlineA = this.getWorldOutline(entityA, centerA);
+        const outlineB = this.getWorldOutline(entityB, centerB);
+
+        let contact;
+        if (outlineA && outlineB) {
+            contact = this.collidePolygons(outlineA, centerA, outlineB, centerB);
+        } else if (outlineA) {
+            contact = this.collideCircleWithPolygon(entityB, centerB, entityA, outlineA, centerA, collision.timeOfImpact);
+        } else {
+            contact = this.collideCircleWithPolygon(entityA, centerA, entityB, outlineB, centerB, collision.timeOfImpact);
+            if (contact) {
+                contact.normal.multiply(-1);
+            }
+        }
+
+        if (!contact) return null;
+
+        return {
+            entityA,
+            entityB,
+            point: this.wrapPosition(contact.point),
+            normal: contact.normal,
+            depth: contact.depth,
+            timeOfImpact: contact.timeOfImpact
+        };
+    }
+
+    /**
+     * Get an entity's collision outline in world space
+     * @param {Object} entity Entity
+     * @param {Object} center Where to place the outline
+     * @returns {Array<Vector2D>|null} Outline, or null for circular entities
+     */
+    getWorldOutline(entity, center) {
+        if (!entity.getCollisionOutline) return null;
+        return Polygon.transform(entity.getCollisionOutline(), entity.rotation || 0, center);
+    }
+
+    /**
+     * Polygon against polygon, as fans of convex triangles tested with SAT
+     * The deepest overlapping triangle pair decides the normal and depth
+     * @param {Array<Vector2D>} outlineA First outline
+     * @param {Object} centerA First outline's center
+     * @param {Array<Vector2D>} outlineB Second outline
+     * @param {Object} centerB Second outline's center
+     * @returns {Object|null} { point, normal, depth, timeOfImpact } or null if separated
+     */
+    collidePolygons(outlineA, centerA, outlineB, centerB) {
+        const trianglesA = Polygon.triangulateFan(outlineA, centerA);
+        const trianglesB = Polygon.triangulateFan(outlineB, centerB);
+        const boxesA = trianglesA.map(triangle => Polygon.getBoundingBox(triangle));
+        const boxesB = trianglesB.map(triangle => Polygon.getBoundingBox(triangle));
+
+        let deepest = null;
+        for (let i = 0; i < trianglesA.length; i++) {
+            for (let j = 0; j < trianglesB.length; j++) {
+                // Most triangle pairs are nowhere near each other; skip them before SAT
+                const boxA = boxesA[i];
+                const boxB = boxesB[j];
+                if (boxA.maxX <= boxB.minX || boxB.maxX <= boxA.minX ||
+                    boxA.maxY <= boxB.minY || boxB.maxY <= boxA.minY) continue;
+
+                const triangleA = trianglesA[i];
+                const triangleB = trianglesB[j];
+                const overlap = Polygon.satConvex(triangleA, triangleB);
+                if (overlap && (!deepest || overlap.depth > deepest.depth)) {
+                    deepest = { ...overlap, triangleA, triangleB };
                 }
             }
         }
 
-        return { collisions };
+        if (!deepest) return null;
+
+        const normal = deepest.normal;
+        if (normal.dot(Vector2D.direction(centerA, centerB)) < 0) {
+            normal.multiply(-1);
+        }
+
+        // Contact at the vertex that pushed furthest into the other shape
+        const vertexB = Polygon.support(deepest.triangleB, normal.clone().multiply(-1));
+        const point = Polygon.containsPoint(vertexB, outlineA)
+            ? vertexB.clone()
+            : Polygon.support(deepest.triangleA, normal).clone();
+
+        return { point, normal, depth: deepest.depth, timeOfImpact: 1 };
+    }
+
+    /**
+     * Circle against polygon; fast circles are swept along their motion relative to the polygon
+     * @param {Object} circleEntity Circular entity
+     * @param {Object} circleCenter Circle center in the working frame
+     * @param {Object} polygonEntity Entity owning the outline
+     * @param {Array<Vector2D>} outline Polygon outline in the working frame
+     * @param {Object} polygonCenter Polygon center in the working frame
+     * @param {number} timeOfImpact Broad-phase time of impact
+     * @returns {Object|null} { point, normal, depth, timeOfImpact } with the normal pointing
+     *                        from the polygon towards the circle, or null if they don't touch
+     */
+    collideCircleWithPolygon(circleEntity, circleCenter, polygonEntity, outline, polygonCenter, timeOfImpact) {
+        const radius = circleEntity.getBounds().radius;
+
+        if (!this.isSwept(circleEntity)) {
+            const contact = Polygon.collideCircle(circleCenter, radius, outline);
+            return contact && { ...contact, timeOfImpact };
+        }
+
+        // Hold the polygon still at its current position and move the circle relative to it
+        const circleMotion = this.getWrappedDelta(circleEntity.previousPosition, circleEntity.position);
+        const polygonMotion = polygonEntity.previousPosition
+            ? this.getWrappedDelta(polygonEntity.previousPosition, polygonEntity.position)
+            : new Vector2D(0, 0);
+        const relativeMotion = circleMotion.subtract(polygonMotion);
+        const start = Vector2D.direction(relativeMotion, circleCenter);
+
+        const sweptTime = Polygon.sweepCircle(start, circleCenter, radius, outline, polygonCenter);
+        if (sweptTime === null) return null;
+
+        const center = start.add(relativeMotion.multiply(sweptTime));
+        const point = Polygon.closestPointOnOutline(center, outline);
+        const offset = Vector2D.direction(point, center);
+        const inside = Polygon.containsPoint(center, outline);
+
+        return {
+            point,
+            normal: inside ? offset.clone().multiply(-1).normalize() : offset.clone().normalize(),
+            depth: inside ? radius + offset.magnitude() : Math.max(0, radius - offset.magnitude()),
+            timeOfImpact: sweptTime
+        };
     }
 
     /**
@@ -156,17 +482,44 @@ export class PhysicsEngine {
      * @returns {boolean} True if collision detected
      */
     checkCircleCollision(entityA, entityB) {
-        const boundsA = entityA.getBounds();
-        const boundsB = entityB.getBounds();
+        let dx = entityB.position.x - entityA.position.x;
+        let dy = entityB.position.y - entityA.position.y;
+        dx -= this.screenWidth * Math.round(dx / this.screenWidth);
+        dy -= this.screenHeight * Math.round(dy / this.screenHeight);
 
-        const dx = boundsB.x - boundsA.x;
-        const dy = boundsB.y - boundsA.y;
         const distanceSquared = dx * dx + dy * dy;
-        const radiusSum = boundsA.radius + boundsB.radius;
+        const radiusSum = this.getBroadPhaseRadius(entityA) + this.getBroadPhaseRadius(entityB);
 
         return distanceSquared < (radiusSum * radiusSum);
     }
 
+    /**
+     * Get the shortest offset from one point to another on the wrapped screen
+     * @param {Object} from Point with x and y
+     * @param {Object} to Point with x and y
+     * @returns {Vector2D} Offset, each component within half a screen
+     */
+    getWrappedDelta(from, to) {
+        let dx = to.x - from.x;
+        let dy = to.y - from.y;
+
+        dx -= this.screenWidth * Math.round(dx / this.screenWidth);
+        dy -= this.screenHeight * Math.round(dy / this.screenHeight);
+
+        return new Vector2D(dx, dy);
+    }
+
+    /**
+     * Bring a position back onto the screen
+     * @param {Vector2D} position Position to wrap (modified in place)
+     * @returns {Vector2D} The wrapped position
+     */
+    wrapPosition(position) {
+        position.x = ((position.x % this.screenWidth) + this.screenWidth) % this.screenWidth;
+        position.y = ((position.y % this.screenHeight) + this.screenHeight) % this.screenHeight;
+        return position;
+    }
+
     /**
      * Get collision point between two entities
      * @param {Object} entityA First entity
@@ -177,11 +530,11 @@ export class PhysicsEngine {
         const boundsA = entityA.getBounds();
         const boundsB = entityB.getBounds();
 
-        // Collision point is midway between entity centers
-        const x = (boundsA.x + boundsB.x) / 2;
-        const y = (boundsA.y + boundsB.y) / 2;
+        // Collision point is midway between entity centers, measured across the edge if that's closer
+        const delta = this.getWrappedDelta(boundsA, boundsB);
+        const point = new Vector2D(boundsA.x + delta.x / 2, boundsA.y + delta.y / 2);
 
-        return new Vector2D(x, y);
+        return this.wrapPosition(point);
     }
 
     /**
@@ -194,12 +547,7 @@ export class PhysicsEngine {
         const boundsA = entityA.getBounds();
         const boundsB = entityB.getBounds();
 
-        const normal = new Vector2D(
-            boundsB.x - boundsA.x,
-            boundsB.y - boundsA.y
-        );
-
-        return normal.normalize();
+        return this.getWrappedDelta(boundsA, boundsB).normalize();
     }
 
     /**
@@ -235,14 +583,36 @@ export class PhysicsEngine {
         entity.velocity.add(acceleration);
     }
 
+    /**
+     * Pull entities towards gravity wells (inverse-square, measured across the screen edges)
+     * @param {Array<GravityWell>} wells Active wells
+     * @param {Array} entities Entities to pull; anything without a velocity is left alone
+     * @param {number} deltaTime Time step
+     */
+    applyGravityWells(wells, entities, deltaTime) {
+        if (wells.length === 0) return;
+
+        for (const entity of entities) {
+            if (entity.isActive === false || !entity.velocity) continue;
+
+            for (const well of wells) {
+                const acceleration = well.getAcceleration(this.getWrappedDelta(entity.position, well.position));
+                if (acceleration) {
+                    this.applyForce(entity, acceleration, deltaTime);
+                }
+            }
+        }
+    }
+
     /**
      * Apply damping to an entity's velocity
      * @param {Object} entity Entity to apply damping to
-     * @param {number} dampingFactor Damping factor (0-1)
+     * @param {number} dampingPerSecond Fraction of velocity kept per second (0-1)
+     * @param {number} deltaTime Time elapsed since last frame (milliseconds)
      */
-    applyDamping(entity, dampingFactor) {
+    applyDamping(entity, dampingPerSecond, deltaTime) {
         if (!entity.velocity) return;
-        entity.velocity.multiply(dampingFactor);
+        Drag.apply(entity.velocity, dampingPerSecond, deltaTime);
     }
 
     /**
@@ -255,8 +625,7 @@ export class PhysicsEngine {
         // Simple collision resolution - separate entities
         const boundsA = entityA.getBounds();
         const boundsB = entityB.getBounds();
-        const overlap = (boundsA.radius + boundsB.radius) -
-                       new Vector2D(boundsA.x, boundsA.y).distanceTo(new Vector2D(boundsB.x, boundsB.y));
+        const overlap = (boundsA.radius + boundsB.radius) - this.getWrappedDelta(boundsA, boundsB).magnitude();
 
         if (overlap > 0) {
             const separation = normal.clone().multiply(overlap / 2);
@@ -271,55 +640,256 @@ export class PhysicsEngine {
     }
 
     /**
-     * Clear spatial grid for collision optimization
+     * Bounce two moving bodies off each other, conserving momentum
+     * Mass comes from entity.mass, falling back to radius squared (area). Overlap is pushed
+     * apart in proportion to inverse mass so stacked bodies don't sink into each other
+     * @param {Object} collision Collision data from detectCollisions
+     * @param {Object} options Optional overrides: restitution (1 = perfectly elastic),
+     *                         correctionPercent, correctionSlop (pixels of overlap tolerated)
+     * @returns {boolean} True if an impulse was applied (false when already separating)
+     */
+    resolveElasticCollision(collision, options = {}) {
+        const { entityA, entityB, normal } = collision;
+        const restitution = options.restitution ?? 1;
+        const correctionPercent = options.correctionPercent ?? 0.8;
+        const correctionSlop = options.correctionSlop ?? 0.5;
+
+        const inverseMassA = 1 / this.getMass(entityA);
+        const inverseMassB = 1 / this.getMass(entityB);
+        const inverseMassSum = inverseMassA + inverseMassB;
+
+        // Positional correction along the (wrapped) normal, using the narrow-phase depth when known
+        const boundsA = entityA.getBounds();
+        const boundsB = entityB.getBounds();
+        const overlap = collision.depth ??
+            (boundsA.radius + boundsB.radius) - this.getWrappedDelta(boundsA, boundsB).magnitude();
+        if (overlap > correctionSlop) {
+            const correction = normal.clone().multiply((overlap - correctionSlop) * correctionPercent / inverseMassSum);
+            entityA.position.subtract(correction.clone().multiply(inverseMassA));
+            entityB.position.add(correction.clone().multiply(inverseMassB));
+            this.wrapPosition(entityA.position);
+            this.wrapPosition(entityB.position);
+        }
+
+        // Only approaching bodies exchange momentum
+        const relativeVelocity = entityB.velocity.clone().subtract(entityA.velocity);
+        const approachSpeed = relativeVelocity.dot(normal);
+        if (approachSpeed >= 0) return false;
+
+        const impulse = normal.clone().multiply(-(1 + restitution) * approachSpeed / inverseMassSum);
+        entityA.velocity.subtract(impulse.clone().multiply(inverseMassA));
+        entityB.velocity.add(impulse.clone().multiply(inverseMassB));
+        return true;
+    }
+
+    /**
+     * Get an entity's mass for collision response
+     * @param {Object} entity Entity with a mass or a collision radius
+     * @returns {number} Mass (radius squared unless the entity defines one)
+     */
+    getMass(entity) {
+        if (entity.mass > 0) return entity.mass;
+
+        const radius = entity.getBounds().radius;
+        return radius * radius;
+    }
+
+    /**
+     * Make room in the broad-phase buffers for a number of entities
+     * @param {number} count Entities in this pass
      */
-    clearSpatialGrid() {
-        this.spatialGrid.clear();
+    ensureBroadPhaseCapacity(count) {
+        const broadPhase = this.broadPhase;
+        if (count <= broadPhase.capacity) return;
+
+        const capacity = Math.max(count, broadPhase.capacity * 2, 64);
+        broadPhase.capacity = capacity;
+        broadPhase.x = new Float64Array(capacity);
+        broadPhase.y = new Float64Array(capacity);
+        broadPhase.reach = new Float64Array(capacity);
+        broadPhase.cellOf = new Int32Array(capacity);
+        broadPhase.cellEntries = new Int32Array(capacity);
     }
 
     /**
-     * Populate spatial grid with entities
-     * @param {Array} entities Entities to add to grid
+     * Bucket entities into grid cells (a counting sort, so no per-cell arrays)
+     * Cells are sized so any two entities that could touch this tick are in neighboring cells
+     * @param {Array} entities Active entities
      */
     populateSpatialGrid(entities) {
-        for (const entity of entities) {
-            const bounds = entity.getBounds();
-            const gridX = Math.floor(bounds.x / this.gridCellSize);
-            const gridY = Math.floor(bounds.y / this.gridCellSize);
-            const key = `${gridX},${gridY}`;
+        const count = entities.length;
+        this.ensureBroadPhaseCapacity(count);
+
+        const broadPhase = this.broadPhase;
+        const { x, y, reach, cellOf, cellEntries } = broadPhase;
+        broadPhase.entities = entities;
+        broadPhase.count = count;
+
+        // Gather positions and reach, and size cells to the largest reach
+        let largestReach = 0;
+        for (let i = 0; i < count; i++) {
+            const entity = entities[i];
+            x[i] = entity.position.x;
+            y[i] = entity.position.y;
+            reach[i] = this.getBroadPhaseRadius(entity) + this.getMotionLength(entity);
+            largestReach = Math.max(largestReach, reach[i]);
+        }
+        this.gridCellSize = Math.max(this.minGridCellSize, Math.ceil(largestReach * 2));
+
+        const grid = this.getGridSize();
+        broadPhase.grid = grid;
+        const cellCount = grid.columns * grid.rows;
+        if (broadPhase.cellStart.length < cellCount + 1) {
+            broadPhase.cellStart = new Int32Array(cellCount + 1);
+            broadPhase.cellCursor = new Int32Array(cellCount);
+        }
+        broadPhase.cellCount = cellCount;
 
-            if (!this.spatialGrid.has(key)) {
-                this.spatialGrid.set(key, []);
-            }
-            this.spatialGrid.get(key).push(entity);
+        const { cellStart, cellCursor } = broadPhase;
+        cellStart.fill(0, 0, cellCount + 1);
+
+        // Count entities per cell, turn counts into start offsets, then place indices
+        for (let i = 0; i < count; i++) {
+            cellOf[i] = this.getCellIndex(x[i], y[i], grid);
+            cellStart[cellOf[i] + 1]++;
+        }
+        for (let cell = 0; cell < cellCount; cell++) {
+            cellStart[cell + 1] += cellStart[cell];
+            cellCursor[cell] = cellStart[cell];
+        }
+        for (let i = 0; i < count; i++) {
+            cellEntries[cellCursor[cellOf[i]]++] = i;
         }
     }
 
     /**
-     * Get nearby entities for spatial collision detection
-     * @param {Object} entity Entity to find neighbors for
-     * @returns {Array} Nearby entities
+     * Distance an entity moved this tick (measured across the edge if it wrapped)
+     * @param {Object} entity Entity
+     * @returns {number} Distance in pixels, 0 before its first update
+     */
+    getMotionLength(entity) {
+        const previous = entity.previousPosition;
+        if (!previous) return 0;
+
+        let dx = entity.position.x - previous.x;
+        let dy = entity.position.y - previous.y;
+        dx -= this.screenWidth * Math.round(dx / this.screenWidth);
+        dy -= this.screenHeight * Math.round(dy / this.screenHeight);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Get grid dimensions
+     * Cells are stretched so a whole number of them spans the screen; with a partial
+     * column at the edge, neighbors across the wrap could be missed
+     * @returns {Object} Column and row counts and the actual cell size
      */
-    getNearbyEntities(entity) {
-        const nearby = [];
-        const bounds = entity.getBounds();
-        const gridX = Math.floor(bounds.x / this.gridCellSize);
-        const gridY = Math.floor(bounds.y / this.gridCellSize);
+    getGridSize() {
+        const columns = Math.max(1, Math.floor(this.screenWidth / this.gridCellSize));
+        const rows = Math.max(1, Math.floor(this.screenHeight / this.gridCellSize));
+
+        return {
+            columns,
+            rows,
+            cellWidth: this.screenWidth / columns,
+            cellHeight: this.screenHeight / rows
+        };
+    }
+
+    /**
+     * Get the grid cell containing a point (points off screen wrap onto it)
+     * @param {number} x X position
+     * @param {number} y Y position
+     * @param {Object} grid Grid dimensions from getGridSize
+     * @returns {number} Cell index (row * columns + column)
+     */
+    getCellIndex(x, y, grid) {
+        const { columns, rows, cellWidth, cellHeight } = grid;
+        const wrappedX = ((x % this.screenWidth) + this.screenWidth) % this.screenWidth;
+        const wrappedY = ((y % this.screenHeight) + this.screenHeight) % this.screenHeight;
+
+        const gridX = Math.min(columns - 1, Math.floor(wrappedX / cellWidth));
+        const gridY = Math.min(rows - 1, Math.floor(wrappedY / cellHeight));
+        return gridY * columns + gridX;
+    }
+
+    /**
+     * List a cell and its neighbors, wrapping around the screen edges
+     * A grid narrower than 3 cells reaches the same cell from both sides; it is listed once
+     * @param {number} cell Cell index
+     * @param {Int32Array} neighbors Output buffer of at least 9 entries
+     * @returns {number} Number of distinct cells written
+     */
+    getNeighborCells(cell, neighbors) {
+        const { columns, rows } = this.broadPhase.grid;
+        const gridX = cell % columns;
+        const gridY = (cell - gridX) / columns;
+        let count = 0;
 
-        // Check current and adjacent cells
         for (let dx = -1; dx <= 1; dx++) {
             for (let dy = -1; dy <= 1; dy++) {
-                const key = `${gridX + dx},${gridY + dy}`;
-                const cellEntities = this.spatialGrid.get(key);
-                if (cellEntities) {
-                    nearby.push(...cellEntities);
+                const neighborX = (gridX + dx + columns) % columns;
+                const neighborY = (gridY + dy + rows) % rows;
+                const neighbor = neighborY * columns + neighborX;
+
+                let listed = false;
+                for (let n = 0; n < count; n++) {
+                    if (neighbors[n] === neighbor) {
+                        listed = true;
+                        break;
+                    }
+                }
+                if (!listed) {
+                    neighbors[count++] = neighbor;
                 }
             }
         }
 
+        return count;
+    }
+
+    /**
+     * Get nearby entities from the last spatial pass
+     * @param {Object} entity Entity to find neighbors for
+     * @param {Array} nearby Array to fill (cleared first), to avoid allocating one per query
+     * @returns {Array} Entities in the entity's cell and the 8 around it
+     */
+    getNearbyEntities(entity, nearby = []) {
+        nearby.length = 0;
+
+        const { entities, count, cellEntries, cellStart, neighbors, grid } = this.broadPhase;
+        if (count === 0) return nearby;
+
+        const cell = this.getCellIndex(entity.position.x, entity.position.y, grid);
+        const neighborCount = this.getNeighborCells(cell, neighbors);
+        for (let n = 0; n < neighborCount; n++) {
+            for (let k = cellStart[neighbors[n]]; k < cellStart[neighbors[n] + 1]; k++) {
+                nearby.push(entities[cellEntries[k]]);
+            }
+        }
+
         return nearby;
     }
 
+    /**
+     * Get the occupied grid cells from the last spatial pass (for the debug overlay)
+     * @returns {Array<Object>} Cells with gridX, gridY and entity count
+     */
+    getOccupiedCells() {
+        const { count, cellStart, cellCount, grid } = this.broadPhase;
+        const occupied = [];
+        if (count === 0) return occupied;
+
+        const { columns } = grid;
+        for (let cell = 0; cell < cellCount; cell++) {
+            const cellEntities = cellStart[cell + 1] - cellStart[cell];
+            if (cellEntities > 0) {
+                occupied.push({ gridX: cell % columns, gridY: Math.floor(cell / columns), count: cellEntities });
+            }
+        }
+
+        return occupied;
+    }
 
     /**
      * Set screen dimensions
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine } from './PhysicsEngine.js';
+import { RandomStream } from './RandomService.js';
+import { Asteroid } from '../models/Asteroid.js';
+import { Projectile } from '../models/Projectile.js';
+import { Vector2D } from '../lib/Vector2D.js';
+
+/**
+ * PhysicsEngine tests - the spatial grid finds exactly the pairs brute force does
+ * Run with: node --test src/services/
+ */
+
+const WIDTH = 800;
+const HEIGHT = 600;
+const SEEDS = [1, 7, 42];
+
+/**
+ * Scatter asteroids and mid-flight projectiles over the screen
+ * @param {number} seed Random seed
+ * @param {Object} options asteroidCount, projectileCount and margin (only spawn this close to the edges)
+ * @returns {Array<Object>} Entities with ids
+ */
+function createField(seed, { asteroidCount = 120, projectileCount = 60, margin = null } = {}) {
+    const rng = new RandomStream(seed);
+    const randomPosition = () => {
+        if (margin === null) {
+            return new Vector2D(rng.next() * WIDTH, rng.next() * HEIGHT);
+        }
+        // Hug the edges, so most pairs touch across the wrap
+        const x = rng.chance(0.5) ? rng.next() * margin : WIDTH - rng.next() * margin;
+        const y = rng.chance(0.5) ? rng.next() * margin : HEIGHT - rng.next() * margin;
+        return new Vector2D(x, y);
+    };
+
+    const entities = [];
+    for (let i = 0; i < asteroidCount; i++) {
+        const roll = rng.next();
+        entities.push(new Asteroid({
+            position: randomPosition(),
+            size: roll < 0.15 ? 'large' : roll < 0.45 ? 'medium' : 'small',
+            rotation: rng.angle(),
+            screenWidth: WIDTH,
+            screenHeight: HEIGHT,
+            rng
+        }));
+    }
+
+    for (let i = 0; i < projectileCount; i++) {
+        // Swept from where it was a tick ago
+        const position = randomPosition();
+        const velocity = Vector2D.fromAngle(rng.angle(), 400);
+        const projectile = new Projectile({ position, velocity, screenWidth: WIDTH, screenHeight: HEIGHT });
+        projectile.previousPosition = position.clone().subtract(velocity.clone().multiply(1 / 60));
+        entities.push(projectile);
+    }
+
+    entities.forEach((entity, index) => entity.id = index);
+    return entities;
+}
+
+/**
+ * Run one detection pass and list the pairs it found
+ * @param {Array<Object>} entities Entities to test
+ * @param {boolean} useGrid Whether to use the spatial grid
+ * @returns {Array<string>} "idA-idB" per collision, in reported order
+ */
+function detectPairs(entities, useGrid) {
+    const engine = new PhysicsEngine(WIDTH, HEIGHT);
+    engine.useSpacialGrid = useGrid;
+    return engine.detectCollisions(entities).collisions
+        .map(({ entityA, entityB }) => `${entityA.id}-${entityB.id}`);
+}
+
+test('the spatial grid finds the same pairs as brute force, in the same order', () => {
+    for (const seed of SEEDS) {
+        const entities = createField(seed);
+        const bruteForce = detectPairs(entities, false);
+        assert.ok(bruteForce.length > 10, `seed ${seed} produced too few collisions to compare`);
+        assert.deepEqual(detectPairs(entities, true), bruteForce, `seed ${seed}`);
+    }
+});
+
+test('pairs touching across the screen edges are found by both', () => {
+    const entities = createField(3, { asteroidCount: 60, projectileCount: 30, margin: 40 });
+    const bruteForce = detectPairs(entities, false);
+
+    const acrossEdge = bruteForce.filter(pair => {
+        const [a, b] = pair.split('-').map(id => entities[id].position);
+        return Math.abs(a.x - b.x) > WIDTH / 2 || Math.abs(a.y - b.y) > HEIGHT / 2;
+    });
+    assert.ok(acrossEdge.length > 0, 'no pairs touched across an edge');
+    assert.deepEqual(detectPairs(entities, true), bruteForce);
+});
+
+test('inactive entities are left out of both', () => {
+    const entities = createField(11);
+    entities.filter((_, index) => index % 3 === 0).forEach(entity => entity.isActive = false);
+
+    const bruteForce = detectPairs(entities, false);
+    for (const pair of bruteForce) {
+        assert.ok(pair.split('-').every(id => entities[id].isActive), `inactive entity in ${pair}`);
+    }
+    assert.deepEqual(detectPairs(entities, true), bruteForce);
+});
@@ -0,0 +1,183 @@
+/**
+ * RandomStream - Deterministic pseudo-random number sequence (mulberry32)
+ * Provides the helpers the game needs on top of a single seedable 32-bit state
+ */
+export class RandomStream {
+    constructor(seed = RandomService.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the stream to the start of the sequence for a seed
+     * @param {number} seed 32-bit integer seed
+     */
+    setSeed(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Get the next number in the sequence
+     * @returns {number} Uniform random number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random floating point number in a range
+     * @param {number} min Inclusive lower bound
+     * @param {number} max Exclusive upper bound
+     * @returns {number} Random number in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get a random integer in a range
+     * @param {number} min Inclusive lower bound
+     * @param {number} max Inclusive upper bound
+     * @returns {number} Random integer in [min, max]
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Get a random angle
+     * @returns {number} Angle in radians in [0, 2π)
+     */
+    angle() {
+        return this.next() * Math.PI * 2;
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability Chance of success (0-1)
+     * @returns {boolean} True if the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} items Items to pick from
+     * @returns {*} Random element, or undefined for an empty array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Pick a key from a table of relative weights
+     * @param {Object} weights Map of key to weight (non-negative; zero never picked)
+     * @returns {string|undefined} Picked key, or undefined if every weight is zero
+     */
+    pickWeighted(weights) {
+        const entries = Object.entries(weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+        let roll = this.next() * total;
+        for (const [key, weight] of entries) {
+            if (weight > 0 && roll < weight) return key;
+            roll -= weight;
+        }
+        return undefined;
+    }
+}
+
+/**
+ * RandomService - Seedable random number source shared by all models and services
+ * Hands out independent named streams derived from one game seed, so cosmetic effects
+ * never shift the gameplay sequence and a seed fully reproduces a run
+ */
+export class RandomService {
+    constructor(seed = RandomService.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.streams = new Map();
+    }
+
+    /**
+     * Get a named stream, creating it on first use
+     * Stream objects are stable across reseeding, so entities may keep a reference
+     * @param {string} name Stream name ('gameplay', 'cosmetic', ...)
+     * @returns {RandomStream} Named random stream
+     */
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new RandomStream(this.deriveSeed(name));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Reseed the service and restart every stream
+     * @param {number} seed New game seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        for (const [name, stream] of this.streams) {
+            stream.setSeed(this.deriveSeed(name));
+        }
+    }
+
+    /**
+     * Get the seed currently in use
+     * @returns {number} Game seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the position of every stream for save/load
+     * @returns {Object} Serializable random state
+     */
+    getState() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.state;
+        }
+        return { seed: this.seed, streams };
+    }
+
+    /**
+     * Restore every stream to a saved position
+     * @param {Object} state Random state from getState()
+     */
+    setState(state) {
+        this.setSeed(state.seed);
+        for (const [name, streamState] of Object.entries(state.streams || {})) {
+            this.stream(name).state = streamState >>> 0;
+        }
+    }
+
+    /**
+     * Derive a stream seed from the game seed and the stream name (FNV-1a)
+     * @param {string} name Stream name
+     * @returns {number} 32-bit stream seed
+     */
+    deriveSeed(name) {
+        let hash = 0x811C9DC5 ^ this.seed;
+        for (let i = 0; i < name.length; i++) {
+            hash ^= name.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Generate a fresh seed for a new game
+     * @returns {number} Random 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
@@ -13,6 +13,9 @@ export class Renderer {
         this.fps = 60;
         this.renderTime = 0;
 
+        // Entity types that wrap around the screen and get drawn across the edges
+        this.wrappingTypes = new Set(['asteroid', 'ship', 'gravityWell', 'saucer', 'powerUp']);
+
 
         // Canvas state optimization
         this.lastFillStyle = null;
@@ -32,6 +35,11 @@ export class Renderer {
             entities = [],
             gameState = {},
             particles = [],
+            interpolation = 1,
+            rewind = null,
+            hyperspace = null,
+            shield = null,
+            powerUps = [],
             ui = {}
         } = renderData;
 
@@ -40,9 +48,9 @@ export class Renderer {
 
         // Render in depth order
         this.renderBackground();
-        this.renderEntities(entities);
-        this.renderParticles(particles);
-        this.renderUI(gameState, ui);
+        this.renderEntities(entities, interpolation);
+        this.renderParticles(particles, interpolation);
+        this.renderUI(gameState, ui, rewind, hyperspace, powerUps, shield);
 
 
         // Update performance stats
@@ -94,11 +102,12 @@ export class Renderer {
     /**
      * Render all game entities in proper order
      * @param {Array} entities Array of game entities
+     * @param {number} interpolation Blend factor between previous and current tick
      */
-    renderEntities(entities) {
+    renderEntities(entities, interpolation = 1) {
         // Sort entities by type and size for proper depth ordering
         const sortedEntities = [...entities].sort((a, b) => {
-            const order = { asteroid: 1, projectile: 2, ship: 3 };
+            const order = { asteroid: 1, powerUp: 2, saucer: 3, projectile: 4, ship: 5 };
             const aOrder = order[a.type] || 0;
             const bOrder = order[b.type] || 0;
 
@@ -121,7 +130,7 @@ export class Renderer {
 
             try {
                 if (entity.draw && typeof entity.draw === 'function') {
-                    entity.draw(this.context);
+                    this.drawInterpolated(entity, interpolation);
                 }
 
             } catch (error) {
@@ -133,14 +142,15 @@ export class Renderer {
     /**
      * Render particle effects
      * @param {Array} particles Array of particle objects
+     * @param {number} interpolation Blend factor between previous and current tick
      */
-    renderParticles(particles) {
+    renderParticles(particles, interpolation = 1) {
         for (const particle of particles) {
             if (particle.isActive === false) continue;
 
             try {
                 if (particle.draw && typeof particle.draw === 'function') {
-                    particle.draw(this.context);
+                    this.drawInterpolated(particle, interpolation);
                 }
             } catch (error) {
                 console.warn('Error rendering particle:', error, particle);
@@ -148,12 +158,80 @@ export class Renderer {
         }
     }
 
+    /**
+     * Draw an entity blended between its previous and current simulation state
+     * The entity's transform is swapped for the blended one during draw and restored afterwards
+     * @param {Object} entity Entity to draw
+     * @param {number} interpolation Blend factor (0 = previous tick, 1 = current tick)
+     */
+    drawInterpolated(entity, interpolation) {
+        if (!entity.previousPosition || entity.hasWrapped || interpolation >= 1) {
+            this.drawWrapped(entity);
+            return;
+        }
+
+        const currentX = entity.position.x;
+        const currentY = entity.position.y;
+        const currentRotation = entity.rotation;
+
+        entity.position.x = entity.previousPosition.x + (currentX - entity.previousPosition.x) * interpolation;
+        entity.position.y = entity.previousPosition.y + (currentY - entity.previousPosition.y) * interpolation;
+        if (currentRotation !== undefined) {
+            entity.rotation = entity.previousRotation + (currentRotation - entity.previousRotation) * interpolation;
+        }
+
+        try {
+            this.drawWrapped(entity);
+        } finally {
+            entity.position.x = currentX;
+            entity.position.y = currentY;
+            if (currentRotation !== undefined) {
+                entity.rotation = currentRotation;
+            }
+        }
+    }
+
+    /**
+     * Draw an entity, repeating it on the opposite side for any part hanging over an edge
+     * @param {Object} entity Entity to draw
+     */
+    drawWrapped(entity) {
+        entity.draw(this.context);
+        if (!this.wrappingTypes.has(entity.type)) return;
+
+        const { width, height } = this.canvas;
+        const { x, y } = entity.position;
+        const reach = entity.boundingRadius || entity.radius * 1.5; // Outlines extend past the collision radius
+
+        const offsetsX = [0];
+        const offsetsY = [0];
+        if (x < reach) offsetsX.push(width);
+        if (x > width - reach) offsetsX.push(-width);
+        if (y < reach) offsetsY.push(height);
+        if (y > height - reach) offsetsY.push(-height);
+
+        for (const offsetX of offsetsX) {
+            for (const offsetY of offsetsY) {
+                if (offsetX === 0 && offsetY === 0) continue;
+
+                this.context.save();
+                this.context.translate(offsetX, offsetY);
+                entity.draw(this.context);
+                this.context.restore();
+            }
+        }
+    }
+
     /**
      * Render UI elements and overlays (HUD is handled by HTML)
      * @param {Object} gameState Current game state
      * @param {Object} ui UI configuration
+     * @param {Object|null} rewind Rewind timeline state
+     * @param {Object|null} hyperspace Ship hyperspace state (shown while a game is in progress)
+     * @param {Array<Object>} powerUps Power-ups in effect (label, color, remaining)
+     * @param {Object|null} shield Ship shield state (shown while a game is in progress)
      */
-    renderUI(gameState, ui = {}) {
+    renderUI(gameState, ui = {}, rewind = null, hyperspace = null, powerUps = [], shield = null) {
         // Set UI text properties
         this.context.font = ui.font || '20px "Courier New", monospace';
         this.context.textAlign = 'left';
@@ -161,10 +239,23 @@ export class Renderer {
 
         // Render HUD elements
         this.renderHUD(gameState);
+        if (hyperspace) {
+            this.renderHyperspaceCooldown(hyperspace);
+        }
+        if (shield) {
+            this.renderShieldMeter(shield);
+        }
+        if (powerUps.length > 0) {
+            this.renderActivePowerUps(powerUps);
+        }
 
         // Render game state overlays
+        if (gameState.scene === 'levelTransition') {
+            this.renderLevelTransition(gameState);
+        }
+
         if (gameState.isPaused) {
-            this.renderPauseOverlay(gameState);
+            this.renderPauseOverlay(gameState, rewind);
         }
 
         if (gameState.isGameOver) {
@@ -200,13 +291,81 @@ export class Renderer {
         this.context.fillText(levelText, centerX, 10);
     }
 
+    /**
+     * Render the hyperspace cooldown gauge under the lives counter
+     * @param {Object} hyperspace Ship hyperspace state
+     */
+    renderHyperspaceCooldown(hyperspace) {
+        const x = 10;
+        const y = 62;
+        const width = 100;
+        const height = 6;
+        const charged = 1 - hyperspace.cooldownRemaining / hyperspace.cooldownDuration;
+
+        this.context.save();
+        this.context.font = '12px "Courier New", monospace';
+        this.context.fillStyle = hyperspace.ready ? '#00FF88' : '#888888';
+        this.context.fillText(hyperspace.ready ? 'HYPERSPACE READY' : 'HYPERSPACE', x, y);
+
+        this.context.strokeStyle = '#004433';
+        this.context.strokeRect(x, y + 16, width, height);
+        this.context.fillRect(x, y + 16, width * charged, height);
+        this.context.restore();
+    }
+
+    /**
+     * Render the shield energy meter under the hyperspace gauge
+     * @param {Object} shield Ship shield state
+     */
+    renderShieldMeter(shield) {
+        const x = 10;
+        const y = 92;
+        const width = 100;
+        const height = 6;
+        const charge = shield.energy / shield.capacity;
+
+        this.context.save();
+        this.context.font = '12px "Courier New", monospace';
+        this.context.fillStyle = shield.up ? '#33CCFF' : charge > 0.25 ? '#00FF88' : '#FF5555';
+        this.context.fillText(shield.up ? 'SHIELD UP' : 'SHIELD', x, y);
+
+        this.context.strokeStyle = '#004433';
+        this.context.strokeRect(x, y + 16, width, height);
+        this.context.fillRect(x, y + 16, width * charge, height);
+        this.context.restore();
+    }
+
+    /**
+     * Render the power-ups in effect down the top right corner, with seconds remaining
+     * @param {Array<Object>} powerUps Power-ups in effect (label, color, remaining)
+     */
+    renderActivePowerUps(powerUps) {
+        const x = this.canvas.width - 10;
+
+        this.context.save();
+        this.context.font = '14px "Courier New", monospace';
+        this.context.textAlign = 'right';
+
+        powerUps.forEach((powerUp, index) => {
+            const y = 10 + index * 20;
+            const text = `${powerUp.label} ${Math.ceil(powerUp.remaining / 1000)}s`;
+
+            this.context.fillStyle = '#222222';
+            this.context.fillText(text, x + 1, y + 1);
+            this.context.fillStyle = powerUp.color;
+            this.context.fillText(text, x, y);
+        });
+
+        this.context.restore();
+    }
+
     /**
      * Render pause overlay
      * @param {Object} gameState Current game state
      */
-    renderPauseOverlay(gameState) {
-        // Semi-transparent overlay
-        this.context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    renderPauseOverlay(gameState, rewind = null) {
+        // Semi-transparent overlay (lighter while rewound so the scrubbed world stays visible)
+        this.context.fillStyle = rewind?.isRewound ? 'rgba(0, 0, 0, 0.35)' : 'rgba(0, 0, 0, 0.7)';
         this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Pause text
@@ -241,11 +400,80 @@ export class Renderer {
             this.context.fillText('Press P to resume', centerX, centerY + 60);
         }
 
+        if (rewind && rewind.length > 1) {
+            this.renderRewindTimeline(rewind);
+        }
+
         // Reset text alignment
         this.context.textAlign = 'left';
         this.context.textBaseline = 'top';
     }
 
+    /**
+     * Render the banner announcing the next level
+     * @param {Object} gameState Current game state
+     */
+    renderLevelTransition(gameState) {
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+
+        // Fade the banner out over the last half second
+        this.context.globalAlpha = Math.min(1, gameState.levelTransitionRemaining / 500);
+
+        this.context.font = '48px "Courier New", monospace';
+        this.context.textAlign = 'center';
+        this.context.textBaseline = 'middle';
+        this.context.fillStyle = '#00FF88';
+        this.context.fillText(`LEVEL ${gameState.level}`, centerX, centerY);
+
+        this.context.font = '24px "Courier New", monospace';
+        this.context.fillStyle = '#CCCCCC';
+        this.context.fillText('Get ready', centerX, centerY + 50);
+
+        this.context.globalAlpha = 1;
+        this.context.textAlign = 'left';
+        this.context.textBaseline = 'top';
+    }
+
+    /**
+     * Render the rewind scrubber: recorded history, cursor and offset from the present
+     * @param {Object} rewind Rewind timeline state
+     */
+    renderRewindTimeline(rewind) {
+        const barWidth = this.canvas.width * 0.6;
+        const barHeight = 8;
+        const barX = (this.canvas.width - barWidth) / 2;
+        const barY = this.canvas.height - 50;
+
+        // Full capacity track, with the recorded part filled in
+        const filledWidth = barWidth * (rewind.length / rewind.capacity);
+        const filledX = barX + barWidth - filledWidth;
+        this.context.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        this.context.fillRect(barX, barY, barWidth, barHeight);
+        this.context.fillStyle = 'rgba(255, 136, 0, 0.5)';
+        this.context.fillRect(filledX, barY, filledWidth, barHeight);
+
+        // Cursor marker
+        const progress = rewind.length > 1 ? rewind.cursor / (rewind.length - 1) : 1;
+        const cursorX = filledX + filledWidth * progress;
+        this.context.fillStyle = '#FF8800';
+        this.context.fillRect(cursorX - 2, barY - 6, 4, barHeight + 12);
+
+        // Time offset and controls
+        const secondsBack = (rewind.length - 1 - rewind.cursor) / rewind.tickRate;
+        this.context.font = '16px "Courier New", monospace';
+        this.context.textAlign = 'center';
+        this.context.textBaseline = 'bottom';
+        this.context.fillStyle = '#CCCCCC';
+        this.context.fillText(
+            secondsBack > 0 ? `-${secondsBack.toFixed(1)}s` : 'LIVE',
+            cursorX,
+            barY - 10
+        );
+        this.context.textBaseline = 'top';
+        this.context.fillText('◀ ▶ rewind', this.canvas.width / 2, barY + barHeight + 10);
+    }
+
     /**
      * Render game over overlay
      * @param {Object} gameState Current game state
@@ -291,6 +519,24 @@ export class Renderer {
     }
 
 
+    /**
+     * Update rendering performance statistics
+     * @param {number} renderTime Time spent rendering this frame
+     */
+    updatePerformanceStats(renderTime) {
+        this.frameCount++;
+        this.renderTime = renderTime;
+
+        // Recompute FPS once per second from frames drawn
+        const now = performance.now();
+        const elapsed = now - this.lastFpsUpdate;
+        if (elapsed >= 1000) {
+            this.fps = (this.frameCount * 1000) / elapsed;
+            this.frameCount = 0;
+            this.lastFpsUpdate = now;
+        }
+    }
+
     /**
      * Optimize canvas state changes
      * @param {string} property Canvas property to set
@@ -0,0 +1,210 @@
+/**
+ * Replay file format version - bump when the file layout changes
+ */
+export const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * ReplayManager - Records per-tick input frames and plays them back deterministically
+ * A replay stores the game seed, settings and one action bitmask per simulation tick,
+ * run-length encoded so held keys and idle stretches cost almost nothing
+ */
+export class ReplayManager {
+    constructor(simulationVersion) {
+        // Simulation build the replays are recorded against
+        this.simulationVersion = simulationVersion;
+
+        // 'idle', 'recording' or 'playback'
+        this.mode = 'idle';
+
+        // Recording state
+        this.header = null;
+        this.actions = [];
+        this.masks = [];
+
+        // Playback state
+        this.playbackIndex = 0;
+    }
+
+    /**
+     * Start recording a new game
+     * @param {Object} header Game setup: seed, difficulty, shipColor, tickRate
+     * @param {Array<string>} actions Action names recorded in each frame
+     */
+    startRecording(header, actions) {
+        this.mode = 'recording';
+        this.header = { ...header };
+        this.actions = [...actions];
+        this.masks = [];
+    }
+
+    /**
+     * Record the input frame for one tick
+     * @param {Object} frame Map of action name to pressed state
+     */
+    recordFrame(frame) {
+        if (this.mode !== 'recording') return;
+
+        let mask = 0;
+        for (let i = 0; i < this.actions.length; i++) {
+            if (frame[this.actions[i]]) {
+                mask |= 1 << i;
+            }
+        }
+        this.masks.push(mask);
+    }
+
+    /**
+     * Drop recorded frames after a point, so recording continues from a rewound tick
+     * @param {number} tickCount Number of frames to keep
+     */
+    truncate(tickCount) {
+        if (this.mode !== 'recording') return;
+        this.masks.length = Math.min(this.masks.length, tickCount);
+    }
+
+    /**
+     * Stop recording and build the replay
+     * @returns {Object|null} Serializable replay, or null if nothing was being recorded
+     */
+    stopRecording() {
+        if (this.mode !== 'recording') return null;
+
+        this.mode = 'idle';
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            simulationVersion: this.simulationVersion,
+            ...this.header,
+            actions: this.actions,
+            tickCount: this.masks.length,
+            frames: ReplayManager.encodeFrames(this.masks)
+        };
+    }
+
+    /**
+     * Check that a replay can be played by this build
+     * @param {Object} replay Replay data
+     * @returns {Object} Validation result with a reason when invalid
+     */
+    validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            return { valid: false, reason: 'Not a replay file' };
+        }
+
+        if (replay.version !== REPLAY_FORMAT_VERSION) {
+            return { valid: false, reason: `Unsupported replay format version ${replay.version} (expected ${REPLAY_FORMAT_VERSION})` };
+        }
+
+        if (replay.simulationVersion !== this.simulationVersion) {
+            return { valid: false, reason: `Replay was recorded with game version ${replay.simulationVersion}, this build is ${this.simulationVersion}` };
+        }
+
+        if (!Array.isArray(replay.actions) || typeof replay.frames !== 'string' || typeof replay.seed !== 'number') {
+            return { valid: false, reason: 'Replay file is incomplete' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Start playing back a replay
+     * @param {Object} replay Replay data
+     * @returns {Object} Load result with a reason when refused
+     */
+    startPlayback(replay) {
+        const validation = this.validate(replay);
+        if (!validation.valid) {
+            return { success: false, reason: validation.reason };
+        }
+
+        this.mode = 'playback';
+        this.header = replay;
+        this.actions = replay.actions;
+        this.masks = ReplayManager.decodeFrames(replay.frames);
+        this.playbackIndex = 0;
+
+        return { success: true };
+    }
+
+    /**
+     * Get the input frame for the next tick of playback
+     * @returns {Object|null} Map of action name to pressed state, or null when the replay has ended
+     */
+    nextFrame() {
+        if (this.mode !== 'playback' || this.playbackIndex >= this.masks.length) {
+            return null;
+        }
+
+        const mask = this.masks[this.playbackIndex++];
+        const frame = {};
+        for (let i = 0; i < this.actions.length; i++) {
+            frame[this.actions[i]] = (mask & (1 << i)) !== 0;
+        }
+        return frame;
+    }
+
+    /**
+     * Stop playback
+     */
+    stopPlayback() {
+        if (this.mode === 'playback') {
+            this.mode = 'idle';
+        }
+    }
+
+    /**
+     * Check if a replay is being recorded
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    /**
+     * Check if a replay is being played back
+     * @returns {boolean} True during playback
+     */
+    isPlaying() {
+        return this.mode === 'playback';
+    }
+
+    /**
+     * Run-length encode frame masks as "mask.count" pairs in base 36
+     * @param {Array<number>} masks Action bitmask per tick
+     * @returns {string} Encoded frames
+     */
+    static encodeFrames(masks) {
+        const runs = [];
+        let i = 0;
+
+        while (i < masks.length) {
+            const mask = masks[i];
+            let count = 1;
+            while (i + count < masks.length && masks[i + count] === mask) {
+                count++;
+            }
+            runs.push(`${mask.toString(36)}.${count.toString(36)}`);
+            i += count;
+        }
+
+        return runs.join(',');
+    }
+
+    /**
+     * Decode run-length encoded frames
+     * @param {string} encoded Encoded frames
+     * @returns {Array<number>} Action bitmask per tick
+     */
+    static decodeFrames(encoded) {
+        const masks = [];
+        if (!encoded) return masks;
+
+        for (const run of encoded.split(',')) {
+            const [mask, count] = run.split('.').map(value => parseInt(value, 36));
+            for (let i = 0; i < count; i++) {
+                masks.push(mask);
+            }
+        }
+
+        return masks;
+    }
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplayManager } from './ReplayManager.js';
+
+/**
+ * ReplayManager tests - recorded input comes back tick for tick
+ * Run with: node --test src/services/
+ */
+
+const ACTIONS = ['rotateLeft', 'rotateRight', 'thrust', 'fire'];
+
+test('run-length encoding round-trips every frame mask', () => {
+    const masks = [
+        ...new Array(50).fill(0),  // Idle stretch longer than one base 36 digit
+        1, 1, 1, 5, 5, 0,
+        ...new Array(1300).fill(15), // Everything held, run count needs three digits
+        8, 0, 8, 0
+    ];
+
+    const encoded = ReplayManager.encodeFrames(masks);
+    assert.deepEqual(ReplayManager.decodeFrames(encoded), masks);
+    assert.equal(encoded.split(',').length, 9, 'one run per change of input');
+});
+
+test('an empty recording encodes to an empty string and back', () => {
+    assert.equal(ReplayManager.encodeFrames([]), '');
+    assert.deepEqual(ReplayManager.decodeFrames(''), []);
+});
+
+test('a recorded game plays back the same input frames', () => {
+    const frames = Array.from({ length: 200 }, (_, tick) => ({
+        rotateLeft: tick % 40 < 10,
+        rotateRight: false,
+        thrust: tick > 60 && tick < 140,
+        fire: tick % 7 === 0
+    }));
+
+    const recorder = new ReplayManager(3);
+    recorder.startRecording({ seed: 42, difficulty: 'medium', shipColor: '#00FF88', tickRate: 60 }, ACTIONS);
+    frames.forEach(frame => recorder.recordFrame(frame));
+    const replay = JSON.parse(JSON.stringify(recorder.stopRecording()));
+
+    const player = new ReplayManager(3);
+    assert.deepEqual(player.startPlayback(replay), { success: true });
+
+    const played = [];
+    let frame;
+    while ((frame = player.nextFrame())) {
+        played.push(frame);
+    }
+    assert.deepEqual(played, frames);
+});
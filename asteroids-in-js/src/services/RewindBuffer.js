@@ -0,0 +1,117 @@
+/**
+ * RewindBuffer - Fixed-size ring buffer of world snapshots for rewinding play
+ * Holds the most recent snapshots, one per tick; a cursor scrubs through them
+ * and branching discards everything after the cursor
+ */
+export class RewindBuffer {
+    constructor(capacity = 600) {
+        this.capacity = capacity;
+        this.snapshots = new Array(capacity);
+        this.start = 0; // Ring index of the oldest snapshot
+        this.length = 0;
+
+        // Position being viewed (0 = oldest, length - 1 = newest), -1 while live
+        this.cursor = -1;
+    }
+
+    /**
+     * Add the newest snapshot, dropping the oldest when full
+     * @param {Object} snapshot World snapshot
+     */
+    push(snapshot) {
+        if (this.capacity === 0) return;
+
+        // Pushing while rewound continues from the viewed point
+        if (this.isRewound()) {
+            this.branch();
+        }
+
+        if (this.length < this.capacity) {
+            this.snapshots[(this.start + this.length) % this.capacity] = snapshot;
+            this.length++;
+        } else {
+            this.snapshots[this.start] = snapshot;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Move the cursor through history
+     * @param {number} delta Ticks to move (negative = back in time)
+     * @returns {Object|null} Snapshot at the new cursor, or null if the cursor didn't move
+     */
+    scrub(delta) {
+        if (this.length === 0) return null;
+
+        // Live play is already the newest point in time
+        if (!this.isRewound() && delta >= 0) return null;
+
+        const current = this.isRewound() ? this.cursor : this.length - 1;
+        const target = Math.max(0, Math.min(this.length - 1, current + delta));
+        if (target === current && this.isRewound()) return null;
+
+        this.cursor = target;
+        return this.get(target);
+    }
+
+    /**
+     * Get a snapshot by position
+     * @param {number} index Position (0 = oldest)
+     * @returns {Object|null} Snapshot
+     */
+    get(index) {
+        if (index < 0 || index >= this.length) return null;
+        return this.snapshots[(this.start + index) % this.capacity];
+    }
+
+    /**
+     * Get the snapshot under the cursor
+     * @returns {Object|null} Snapshot, or null while live
+     */
+    getCurrent() {
+        return this.isRewound() ? this.get(this.cursor) : null;
+    }
+
+    /**
+     * Check if the cursor is viewing history
+     * @returns {boolean} True while rewound
+     */
+    isRewound() {
+        return this.cursor !== -1;
+    }
+
+    /**
+     * Make the viewed point the present: drop every later snapshot and return to live
+     */
+    branch() {
+        if (!this.isRewound()) return;
+
+        for (let i = this.cursor + 1; i < this.length; i++) {
+            this.snapshots[(this.start + i) % this.capacity] = undefined;
+        }
+        this.length = this.cursor + 1;
+        this.cursor = -1;
+    }
+
+    /**
+     * Drop all history
+     */
+    clear() {
+        this.snapshots.fill(undefined);
+        this.start = 0;
+        this.length = 0;
+        this.cursor = -1;
+    }
+
+    /**
+     * Get timeline data for the scrubber display
+     * @returns {Object} Snapshot count, capacity and cursor position
+     */
+    getState() {
+        return {
+            length: this.length,
+            capacity: this.capacity,
+            cursor: this.isRewound() ? this.cursor : this.length - 1
+        };
+    }
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RewindBuffer } from './RewindBuffer.js';
+
+/**
+ * RewindBuffer tests - scrubbing back and branching keeps the right history
+ * Run with: node --test src/services/
+ */
+
+/**
+ * Fill a buffer with snapshots tagged by tick
+ * @param {number} capacity Buffer capacity
+ * @param {number} ticks Number of snapshots to push
+ * @returns {RewindBuffer} Filled buffer
+ */
+function fillBuffer(capacity, ticks) {
+    const buffer = new RewindBuffer(capacity);
+    for (let tick = 0; tick < ticks; tick++) {
+        buffer.push({ tick });
+    }
+    return buffer;
+}
+
+/**
+ * List the ticks held, oldest first
+ * @param {RewindBuffer} buffer Buffer to read
+ * @returns {Array<number>} Snapshot ticks
+ */
+function heldTicks(buffer) {
+    return Array.from({ length: buffer.length }, (_, index) => buffer.get(index).tick);
+}
+
+test('branching after scrubbing back drops the snapshots after the cursor', () => {
+    const buffer = fillBuffer(10, 8);
+
+    assert.equal(buffer.scrub(-3).tick, 4);
+    assert.ok(buffer.isRewound());
+
+    buffer.branch();
+    assert.ok(!buffer.isRewound());
+    assert.deepEqual(heldTicks(buffer), [0, 1, 2, 3, 4]);
+    assert.deepEqual(buffer.getState(), { length: 5, capacity: 10, cursor: 4 });
+
+    // Live play carries on from the branch point
+    buffer.push({ tick: 5 });
+    assert.deepEqual(heldTicks(buffer), [0, 1, 2, 3, 4, 5]);
+});
+
+test('branching works across the ring buffer wrap', () => {
+    const buffer = fillBuffer(5, 12); // Holds ticks 7-11, oldest in the middle of the ring
+
+    assert.equal(buffer.scrub(-2).tick, 9);
+    buffer.branch();
+    assert.deepEqual(heldTicks(buffer), [7, 8, 9]);
+
+    for (let tick = 10; tick < 14; tick++) {
+        buffer.push({ tick });
+    }
+    assert.deepEqual(heldTicks(buffer), [9, 10, 11, 12, 13]);
+});
+
+test('pushing while rewound branches from the viewed snapshot', () => {
+    const buffer = fillBuffer(10, 6);
+
+    buffer.scrub(-4);
+    buffer.scrub(1);
+    buffer.push({ tick: 3 });
+
+    assert.ok(!buffer.isRewound());
+    assert.deepEqual(heldTicks(buffer), [0, 1, 2, 3]);
+});
@@ -0,0 +1,111 @@
+/**
+ * SaveManager - Persists game snapshots in localStorage slots
+ * Each slot stores the snapshot together with a small summary for the menu
+ */
+export class SaveManager {
+    constructor(storage = globalThis.localStorage, prefix = 'asteroids.save.') {
+        this.storage = storage;
+        this.prefix = prefix;
+
+        // Available slots: quick save, automatic save when the tab is hidden, and manual slots
+        this.slots = ['quick', 'auto', 'slot1', 'slot2', 'slot3'];
+        this.slotLabels = {
+            quick: 'Quick Save',
+            auto: 'Autosave',
+            slot1: 'Slot 1',
+            slot2: 'Slot 2',
+            slot3: 'Slot 3'
+        };
+    }
+
+    /**
+     * Save a snapshot into a slot
+     * @param {string} slot Slot name
+     * @param {Object} snapshot World snapshot
+     * @returns {Object} Save result with a reason on failure
+     */
+    save(slot, snapshot) {
+        if (!this.slots.includes(slot)) {
+            return { success: false, reason: `Unknown save slot: ${slot}` };
+        }
+
+        const record = {
+            savedAt: Date.now(),
+            summary: {
+                level: snapshot.gameState.level,
+                score: snapshot.gameState.score,
+                lives: snapshot.gameState.lives,
+                difficulty: snapshot.gameState.difficulty
+            },
+            snapshot
+        };
+
+        try {
+            this.storage.setItem(this.prefix + slot, JSON.stringify(record));
+        } catch (error) {
+            // Quota exceeded or storage disabled (private browsing)
+            return { success: false, reason: 'Could not write to storage' };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Load the snapshot stored in a slot
+     * @param {string} slot Slot name
+     * @returns {Object|null} Snapshot, or null if the slot is empty or unreadable
+     */
+    load(slot) {
+        const record = this.readRecord(slot);
+        return record ? record.snapshot : null;
+    }
+
+    /**
+     * Delete a slot
+     * @param {string} slot Slot name
+     */
+    delete(slot) {
+        try {
+            this.storage.removeItem(this.prefix + slot);
+        } catch (error) {
+            // Storage unavailable - nothing to delete
+        }
+    }
+
+    /**
+     * List occupied slots with their summaries, newest first
+     * @returns {Array<Object>} Slot descriptions
+     */
+    listSaves() {
+        const saves = [];
+
+        for (const slot of this.slots) {
+            const record = this.readRecord(slot);
+            if (record) {
+                saves.push({
+                    slot,
+                    label: this.slotLabels[slot],
+                    savedAt: record.savedAt,
+                    ...record.summary
+                });
+            }
+        }
+
+        return saves.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Read and parse a slot record
+     * @param {string} slot Slot name
+     * @returns {Object|null} Stored record
+     */
+    readRecord(slot) {
+        try {
+            const json = this.storage.getItem(this.prefix + slot);
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            console.warn('Unreadable save slot:', slot, error);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * Game scenes
+ * Menu, Playing and GameOver sit at the bottom of the stack; Paused, LevelTransition
+ * and Options are pushed on top of the scene they interrupt
+ */
+export const Scenes = Object.freeze({
+    menu: 'menu',
+    playing: 'playing',
+    paused: 'paused',
+    levelTransition: 'levelTransition',
+    gameOver: 'gameOver',
+    options: 'options'
+});
+
+/**
+ * Scenes reachable from each scene (push, pop back or switch)
+ */
+const TRANSITIONS = {
+    menu: [Scenes.playing, Scenes.options],
+    options: [Scenes.menu],
+    playing: [Scenes.playing, Scenes.paused, Scenes.levelTransition, Scenes.gameOver, Scenes.menu],
+    paused: [Scenes.playing, Scenes.levelTransition, Scenes.menu],
+    levelTransition: [Scenes.playing, Scenes.paused, Scenes.gameOver, Scenes.menu],
+    gameOver: [Scenes.playing, Scenes.menu]
+};
+
+/**
+ * SceneManager - Stack of game scenes with validated transitions
+ * Scenes get enter/exit hooks; observers are told about every change so the
+ * UI can follow the game instead of polling it
+ */
+export class SceneManager {
+    constructor(initialScene = Scenes.menu) {
+        this.stack = [initialScene];
+
+        // Scene name -> array of { enter, exit } hooks
+        this.hooks = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Scene on top of the stack (the one receiving input)
+     * @returns {string} Scene name
+     */
+    get current() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    /**
+     * Scene at the bottom of the stack (menu, playing or gameOver)
+     * @returns {string} Scene name
+     */
+    get base() {
+        return this.stack[0];
+    }
+
+    /**
+     * Check if a scene is anywhere on the stack
+     * @param {string} scene Scene name
+     * @returns {boolean} True if the scene is active or covered
+     */
+    has(scene) {
+        return this.stack.includes(scene);
+    }
+
+    /**
+     * Check if the current scene may move to another scene
+     * @param {string} to Target scene
+     * @returns {boolean} True if the transition is allowed
+     */
+    canTransition(to) {
+        return (TRANSITIONS[this.current] || []).includes(to);
+    }
+
+    /**
+     * Cover the current scene with another one
+     * @param {string} scene Scene to push
+     * @returns {boolean} True if the transition happened
+     */
+    push(scene) {
+        const from = this.current;
+        if (!this.validate(from, scene)) return false;
+
+        this.stack.push(scene);
+        this.runHooks(scene, 'enter', from);
+        this.notify(from, scene);
+        return true;
+    }
+
+    /**
+     * Leave the current scene and uncover the one beneath it
+     * @returns {boolean} True if the transition happened
+     */
+    pop() {
+        const from = this.current;
+        const to = this.stack[this.stack.length - 2];
+        if (!to || !this.validate(from, to)) return false;
+
+        this.stack.pop();
+        this.runHooks(from, 'exit', to);
+        this.notify(from, to);
+        return true;
+    }
+
+    /**
+     * Leave every scene on the stack and start over with a new one
+     * @param {string} scene Scene to switch to
+     * @returns {boolean} True if the transition happened
+     */
+    switchTo(scene) {
+        const from = this.current;
+        if (!this.validate(from, scene)) return false;
+
+        while (this.stack.length > 0) {
+            this.runHooks(this.stack.pop(), 'exit', scene);
+        }
+        this.stack.push(scene);
+        this.runHooks(scene, 'enter', from);
+        this.notify(from, scene);
+        return true;
+    }
+
+    /**
+     * Replace the stack with saved state (load, rewind) without running enter/exit hooks
+     * @param {Array<string>} stack Scene stack from getStack()
+     */
+    restore(stack) {
+        const from = this.current;
+        const previous = this.stack.join();
+
+        this.stack = stack.length > 0 ? [...stack] : [Scenes.menu];
+        if (this.stack.join() !== previous) {
+            this.notify(from, this.current);
+        }
+    }
+
+    /**
+     * Get a copy of the scene stack for save/load
+     * @returns {Array<string>} Scene names, bottom first
+     */
+    getStack() {
+        return [...this.stack];
+    }
+
+    /**
+     * Add enter/exit hooks to a scene
+     * @param {string} scene Scene name
+     * @param {Object} hooks { enter(from), exit(to) }
+     * @returns {Function} Function that removes the hooks
+     */
+    addHooks(scene, hooks) {
+        if (!this.hooks.has(scene)) {
+            this.hooks.set(scene, []);
+        }
+        this.hooks.get(scene).push(hooks);
+
+        return () => {
+            const sceneHooks = this.hooks.get(scene);
+            sceneHooks.splice(sceneHooks.indexOf(hooks), 1);
+        };
+    }
+
+    /**
+     * Observe every scene change
+     * @param {Function} listener Called with { from, to, stack }
+     * @returns {Function} Unsubscribe function
+     */
+    onTransition(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Check a transition against the allowed table
+     * @param {string} from Current scene
+     * @param {string} to Target scene
+     * @returns {boolean} True if allowed
+     */
+    validate(from, to) {
+        if (this.canTransition(to)) return true;
+
+        console.warn(`Invalid scene transition: ${from} -> ${to}`);
+        return false;
+    }
+
+    /**
+     * Run a scene's enter or exit hooks
+     * @param {string} scene Scene name
+     * @param {string} type 'enter' or 'exit'
+     * @param {string} other Scene being left (enter) or entered (exit)
+     */
+    runHooks(scene, type, other) {
+        for (const hooks of this.hooks.get(scene) || []) {
+            if (hooks[type]) {
+                hooks[type](other);
+            }
+        }
+    }
+
+    /**
+     * Tell observers about a scene change
+     * @param {string} from Previous scene
+     * @param {string} to New scene
+     */
+    notify(from, to) {
+        const stack = this.getStack();
+        for (const listener of [...this.listeners]) {
+            listener({ from, to, stack });
+        }
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Default player settings
+ */
+const DEFAULT_SETTINGS = {
+    tickRate: 60,
+    asteroidCollisions: 'difficulty', // 'difficulty', 'on' or 'off'
+    fireMode: 'auto' // 'manual', 'auto', 'burst' or 'charge'
+};
+
+/**
+ * SettingsManager - Persists player settings from the Options screen in localStorage
+ */
+export class SettingsManager {
+    constructor(storage = globalThis.localStorage, key = 'asteroids.settings') {
+        this.storage = storage;
+        this.key = key;
+        this.settings = { ...DEFAULT_SETTINGS, ...this.read() };
+    }
+
+    /**
+     * Get a setting
+     * @param {string} name Setting name
+     * @returns {*} Setting value
+     */
+    get(name) {
+        return this.settings[name];
+    }
+
+    /**
+     * Change a setting and persist it
+     * @param {string} name Setting name
+     * @param {*} value New value
+     */
+    set(name, value) {
+        this.settings[name] = value;
+        this.write();
+    }
+
+    /**
+     * Get every setting
+     * @returns {Object} Copy of the settings
+     */
+    getAll() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Read stored settings
+     * @returns {Object} Stored settings, empty if missing or unreadable
+     */
+    read() {
+        try {
+            const json = this.storage?.getItem(this.key);
+            return json ? JSON.parse(json) : {};
+        } catch (error) {
+            console.warn('Unreadable settings, using defaults:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist the settings
+     */
+    write() {
+        try {
+            this.storage?.setItem(this.key, JSON.stringify(this.settings));
+        } catch (error) {
+            // Storage disabled (private browsing) - settings last for this session only
+        }
+    }
+}